@@ -3,6 +3,7 @@
 import * as THREE from "three";
 import { OrbitControls } from "OrbitControls";
 import { GLTFLoader } from "GLTFLoader";
+import { TransformControls } from "TransformControls";
 
 // -------------------------------
 // Constants & helpers
@@ -13,12 +14,66 @@ let model = null; // GLB root, for material switching
 let gridMaterial;
 let gridWireMaterial;
 let gridPointsMaterial;
+let coverageMaterial = null; // built on first use, see createCoverageMaterial()
 
 let currentMaterialMode = "gridTransparent"; // default material
+let coverageMetric = "intensity"; // "amplitude" | "intensity" | "power"
 let autoRotateSpeed = 0.002; // radians per frame (slow)
 
 const F_MIN = 3000;
 const F_MAX = 3000000000;
+const C_LIGHT = 299792458; // m/s
+
+// Wavelength scale: "visual" squashes the band into 4–1 units, "physical" uses λ = c/f
+let lambdaMode = "visual";
+let metersPerUnit = 1.0; // real-world meters represented by one GLB unit
+
+// Occlusion grid: the longest model axis is split into this many voxels
+const OCCLUSION_RES = 128;
+
+// Source list: at most MAX_SOURCES, packed into a data texture for the field
+// shader, SOURCE_TEXELS RGBA texels per source (see writeSourceTexture)
+const MAX_SOURCES = 32;
+const SOURCE_TEXELS = 8;
+
+// Emission history for the Doppler-correct field (see recordSourceHistory)
+const SOURCE_HISTORY = 1024;
+const SOURCE_HISTORY_DT = 1 / 15; // seconds, ≈ 68 s of history
+const RETARDED_ITERATIONS = 14;   // bisection steps for the retarded time
+
+// Probe receivers, sampled on the GPU (see sampleProbes)
+const MAX_PROBES = 8;
+const PROBE_SAMPLES = 256; // time-series length, a power of two for the FFT
+const PROBE_WINDOW = 16;   // display seconds covered by the time series
+const PROBE_FRAME_INTERVAL = 4; // render frames between readbacks
+
+// Field coverage and slices: what fieldColor() shows (index = uMetric), and
+// the mean intensity range, in dB below a unit-amplitude field (right next
+// to a source) up to 0 dB
+const FIELD_METRICS = ["amplitude", "intensity", "power"];
+const INTENSITY_RANGE_DB = 40;
+
+// Slicing planes through the field volume (see createSlice)
+const MAX_SLICES = 6;
+
+// Isosurfaces: grid values per readback row (4 per texel), and render frames
+// between re-contours while the field changes (see updateIsosurfaces)
+const ISO_TEXTURE_WIDTH = 1024;
+const ISO_FRAME_INTERVAL = 30;
+const ISO_MAX_TRIANGLES = 400000; // per surface; a level in the noise floor stops here
+
+// Volume rendering: most samples per view ray, texels of the transfer function,
+// and the image size as a fraction of the canvas while the field changes every
+// frame (playing, orbiting) and once it holds still
+const VOLUME_STEPS = 128;
+const TRANSFER_SIZE = 256;
+const VOLUME_SCALE_MOVING = 0.25;
+const VOLUME_SCALE_STILL = 0.5;
+
+// Time-averaged intensity display: accumulation grid cells along the longest
+// field axis, and the frames in its running mean
+const INTENSITY_GRID_RES = 64;
+const INTENSITY_AVERAGE_FRAMES = 240;
 
 // Default bounds before GLB is loaded (a safe cube around origin)
 const DEFAULT_RANGE = 6;
@@ -39,6 +94,20 @@ function mapDensityToPPU(densityValue) {
   }
 }
 
+// Seeded PRNG (mulberry32): a function returning floats in [0, 1). Its
+// state is the .state property, so a simulation snapshot can save and restore it.
+function createRandom(seed) {
+  const random = () => {
+    random.state = (random.state + 0x6D2B79F5) >>> 0;
+    let t = random.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = seed >>> 0;
+  return random;
+}
+
 function mapSliderToFrequency(v) {
   const t = v / 100;
   const logMin = Math.log10(F_MIN);
@@ -54,6 +123,24 @@ function getVisualLambdaFromFrequency(f) {
   return 4.0 - 3.0 * clamped; // 4 → 1
 }
 
+// Real wavelength in world units for the current meters-per-unit scale
+function getPhysicalLambdaFromFrequency(f) {
+  return C_LIGHT / f / metersPerUnit;
+}
+
+// Wavelength (world units) the field is drawn with in the current lambda mode
+function getLambdaFromFrequency(f) {
+  return lambdaMode === "physical"
+    ? getPhysicalLambdaFromFrequency(f)
+    : getVisualLambdaFromFrequency(f);
+}
+
+// Animation rate is never physical (GHz can't be shown): 0.5–2.5 Hz across the band
+function getDisplayOmegaFromFrequency(f) {
+  const norm = (f - F_MIN) / (F_MAX - F_MIN);
+  return 2 * Math.PI * (0.5 + Math.max(0, Math.min(1, norm)) * 2.0);
+}
+
 // Map slider [-100,100] to [min,max] on a given axis
 function mapSliderToBounds(v, min, max) {
   const t = (v + 100) / 200; // -100→0, 0→0.5, 100→1
@@ -237,6 +324,69 @@ function createGridPointsMaterial() {
 
 
 
+// Field coverage: every fragment evaluates the analytic field of all sources
+// (fieldShaderChunk, sharing the point cloud's uniforms) a voxel off the
+// surface on the side facing the camera, so the wall it lies on doesn't shadow
+// it. The faint grid keeps the shape readable where the field is dark.
+function createCoverageMaterial() {
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      ...getFieldUniforms(),
+      uMetric: { value: FIELD_METRICS.indexOf(coverageMetric) },
+      uLineColor: { value: new THREE.Color(0x0000ff) },
+      uScale: { value: 0.8 },
+      uThickness: { value: 0.02 }
+    },
+    vertexShader: `
+      varying vec3 vWorldPos;
+      varying vec3 vWorldNormal;
+
+      void main() {
+        vec4 worldPos = modelMatrix * vec4(position, 1.0);
+        vWorldPos = worldPos.xyz;
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+        gl_Position = projectionMatrix * viewMatrix * worldPos;
+      }
+    `,
+    fragmentShader: `
+      ${fieldShaderChunk}
+      ${powerRampChunk}
+      ${fieldColorChunk}
+
+      varying vec3 vWorldPos;
+      varying vec3 vWorldNormal;
+
+      uniform vec3 uLineColor;
+      uniform float uScale;
+      uniform float uThickness;
+
+      void main() {
+        vec3 n  = normalize(vWorldNormal);
+        if (dot(n, cameraPosition - vWorldPos) < 0.0) n = -n;
+        vec3 color = fieldColor(vWorldPos + n * uOccVoxel, false);
+
+        vec3 an = abs(n);
+        vec2 coord;
+
+        if (an.y >= an.x && an.y >= an.z) {
+          coord = vWorldPos.xz;
+        } else if (an.x >= an.y && an.x >= an.z) {
+          coord = vWorldPos.zy;
+        } else {
+          coord = vWorldPos.xy;
+        }
+
+        coord *= uScale;
+
+        vec2 grid = abs(fract(coord) - 0.5);
+        float mask = step(min(grid.x, grid.y), uThickness);
+
+        gl_FragColor = vec4(mix(color, uLineColor, 0.35 * mask), 1.0);
+      }
+    `
+  });
+}
+
 function applyMaterialMode(mode) {
   currentMaterialMode = mode;
   if (!model) return; // GLB not loaded yet
@@ -256,6 +406,11 @@ function applyMaterialMode(mode) {
       case "gridPoints":
         if (gridPointsMaterial) child.material = gridPointsMaterial;
         break;
+
+      case "coverage":
+        if (!coverageMaterial) coverageMaterial = createCoverageMaterial();
+        child.material = coverageMaterial;
+        break;
     }
   });
 }
@@ -313,271 +468,3507 @@ let resX = 0, resY = 0, resZ = 0;
 let totalPoints = 0;
 
 // -------------------------------
-// Point cloud + shaders
+// Occlusion (voxelized GLB)
 // -------------------------------
-let points = null;
-let geometry = null;
-let material = null;
+let occlusionTexture = null; // Data3DTexture, 1 = solid, 0 = air
+const occlusionMin = new THREE.Vector3();
+const occlusionSize = new THREE.Vector3(1, 1, 1);
+let occlusionVoxel = 1.0; // edge length of one voxel (world units)
+
+let occlusionEnabled = true;
+let wallLossDb = 1.0; // dB lost per world unit travelled inside geometry
+
+// Roof heights over the occlusion grid's XZ footprint, for knife-edge diffraction
+let heightMapTexture = null; // DataTexture, 0..1 across the grid height
+let diffractionEnabled = false;
+
+// Rasterize every mesh triangle under `root` into an nx × ny × nz grid spanning
+// [boxMin, boxMax]. Surface voxels are marked first, then every voxel the outside
+// air can't reach (6-connected flood fill from the grid border) becomes solid.
+// When the box cuts through buildings, `canSeed(x, y, z)` can veto border voxels
+// that lie inside them so their interior isn't flooded as if it were outside.
+// Returns a Uint8Array indexed x + nx * (y + ny * z), 255 = solid, 0 = air.
+function voxelizeObject(root, boxMin, boxMax, nx, ny, nz, canSeed = null) {
+  const grid = new Uint8Array(nx * ny * nz);
+  const cx = (boxMax.x - boxMin.x) / nx;
+  const cy = (boxMax.y - boxMin.y) / ny;
+  const cz = (boxMax.z - boxMin.z) / nz;
+  const step = 0.5 * Math.min(cx, cy, cz);
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  const box = new THREE.Box3(boxMin, boxMax);
+  const triBox = new THREE.Box3();
+
+  root.updateWorldMatrix(true, true);
+  root.traverse((obj) => {
+    if (!obj.isMesh) return;
+
+    const pos = obj.geometry.attributes.position;
+    const index = obj.geometry.index;
+    const triCount = (index ? index.count : pos.count) / 3;
+
+    for (let t = 0; t < triCount; t++) {
+      const i0 = index ? index.getX(3 * t) : 3 * t;
+      const i1 = index ? index.getX(3 * t + 1) : 3 * t + 1;
+      const i2 = index ? index.getX(3 * t + 2) : 3 * t + 2;
+
+      a.fromBufferAttribute(pos, i0).applyMatrix4(obj.matrixWorld);
+      b.fromBufferAttribute(pos, i1).applyMatrix4(obj.matrixWorld);
+      c.fromBufferAttribute(pos, i2).applyMatrix4(obj.matrixWorld);
+
+      triBox.makeEmpty().expandByPoint(a).expandByPoint(b).expandByPoint(c);
+      if (!box.intersectsBox(triBox)) continue;
+
+      ab.subVectors(b, a);
+      ac.subVectors(c, a);
+
+      // Sample the parallelogram spanned by ab/ac and fold the far half back
+      // onto the triangle, so samples are never further apart than `step`
+      const nu = Math.max(1, Math.ceil(ab.length() / step));
+      const nv = Math.max(1, Math.ceil(ac.length() / step));
+
+      for (let i = 0; i <= nu; i++) {
+        for (let j = 0; j <= nv; j++) {
+          let u = i / nu;
+          let v = j / nv;
+          if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+          }
+
+          const ix = Math.floor((a.x + ab.x * u + ac.x * v - boxMin.x) / cx);
+          const iy = Math.floor((a.y + ab.y * u + ac.y * v - boxMin.y) / cy);
+          const iz = Math.floor((a.z + ab.z * u + ac.z * v - boxMin.z) / cz);
+          if (ix < 0 || iy < 0 || iz < 0 || ix >= nx || iy >= ny || iz >= nz) continue;
+
+          grid[ix + nx * (iy + ny * iz)] = 255;
+        }
+      }
+    }
+  });
 
-const vertexShader = `
-  uniform float uTime;
-  uniform vec3  uSource1Pos;
-  uniform vec3  uSource2Pos;
-  uniform vec3  uSource3Pos;
-  uniform float uK1;
-  uniform float uOmega1;
-  uniform float uK2;
-  uniform float uOmega2;
-  uniform float uK3;
-  uniform float uOmega3;
-  uniform float uPointSize;
+  // Flood the outside air in from the border; whatever stays dry is interior
+  const outside = new Uint8Array(grid.length);
+  const queue = new Int32Array(grid.length);
+  let head = 0;
+  let tail = 0;
+
+  const visit = (x, y, z) => {
+    if (x < 0 || y < 0 || z < 0 || x >= nx || y >= ny || z >= nz) return;
+    const i = x + nx * (y + ny * z);
+    if (outside[i] || grid[i]) return;
+    outside[i] = 1;
+    queue[tail++] = i;
+  };
+
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        const border = x === 0 || y === 0 || z === 0 || x === nx - 1 || y === ny - 1 || z === nz - 1;
+        if (border && (!canSeed || canSeed(x, y, z))) {
+          visit(x, y, z);
+        }
+      }
+    }
+  }
 
-  varying float vAmplitude;
+  while (head < tail) {
+    const i = queue[head++];
+    const x = i % nx;
+    const y = Math.floor(i / nx) % ny;
+    const z = Math.floor(i / (nx * ny));
+    visit(x - 1, y, z);
+    visit(x + 1, y, z);
+    visit(x, y - 1, z);
+    visit(x, y + 1, z);
+    visit(x, y, z - 1);
+    visit(x, y, z + 1);
+  }
 
-  float ampFromSource(vec3 pos, vec3 src, float k, float omega, float t) {
-    vec3 d = pos - src;
-    float r = length(d) + 1e-6;
-    float phase = k * r - omega * t;
-    return sin(phase) / (1.0 + 0.05 * r);
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = outside[i] ? 0 : 255;
   }
 
-  void main() {
-    vec3 p = position;
+  return grid;
+}
 
-    float A1 = ampFromSource(p, uSource1Pos, uK1, uOmega1, uTime);
-    float A2 = ampFromSource(p, uSource2Pos, uK2, uOmega2, uTime);
-    float A3 = ampFromSource(p, uSource3Pos, uK3, uOmega3, uTime);
-    float A  = A1 + A2 + A3;
+// Voxelize the loaded GLB into the 3D texture used for line-of-sight shadowing
+function buildOcclusionGrid(root) {
+  const bbox = new THREE.Box3().setFromObject(root);
+  const size = new THREE.Vector3();
+  bbox.getSize(size);
+
+  // One voxel of air padding on each side keeps the flood fill and the
+  // clamp-to-edge texture lookups outside the model transparent
+  occlusionVoxel = Math.max(size.x, size.y, size.z) / (OCCLUSION_RES - 2);
+  bbox.expandByScalar(occlusionVoxel);
+  bbox.getSize(size);
+
+  const nx = Math.max(2, Math.ceil(size.x / occlusionVoxel));
+  const ny = Math.max(2, Math.ceil(size.y / occlusionVoxel));
+  const nz = Math.max(2, Math.ceil(size.z / occlusionVoxel));
+
+  occlusionMin.copy(bbox.min);
+  occlusionSize.set(nx, ny, nz).multiplyScalar(occlusionVoxel);
+
+  const grid = voxelizeObject(root, occlusionMin, occlusionMin.clone().add(occlusionSize), nx, ny, nz);
+
+  if (occlusionTexture) occlusionTexture.dispose();
+  occlusionTexture = new THREE.Data3DTexture(grid, nx, ny, nz);
+  occlusionTexture.format = THREE.RedFormat;
+  occlusionTexture.type = THREE.UnsignedByteType;
+  occlusionTexture.minFilter = THREE.LinearFilter;
+  occlusionTexture.magFilter = THREE.LinearFilter;
+  occlusionTexture.unpackAlignment = 1;
+  occlusionTexture.needsUpdate = true;
+
+  buildHeightMap(grid, nx, ny, nz);
+}
 
-    vAmplitude = A;
+// Top of the highest solid voxel in every column, normalized to the grid
+// height (R8 so the lookups stay filterable on every WebGL2 device)
+function buildHeightMap(grid, nx, ny, nz) {
+  const heights = new Uint8Array(nx * nz);
+  for (let z = 0; z < nz; z++) {
+    for (let x = 0; x < nx; x++) {
+      let top = 0;
+      for (let y = ny - 1; y >= 0; y--) {
+        if (grid[x + nx * (y + ny * z)]) {
+          top = y + 1;
+          break;
+        }
+      }
+      heights[x + nx * z] = Math.round(top / ny * 255);
+    }
+  }
 
-    float amplitudeScale = 0.4;
-    p.y += A * amplitudeScale;
+  if (heightMapTexture) heightMapTexture.dispose();
+  heightMapTexture = new THREE.DataTexture(heights, nx, nz, THREE.RedFormat, THREE.UnsignedByteType);
+  heightMapTexture.minFilter = THREE.LinearFilter;
+  heightMapTexture.magFilter = THREE.LinearFilter;
+  heightMapTexture.unpackAlignment = 1;
+  heightMapTexture.needsUpdate = true;
+}
 
-    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
-    gl_PointSize = uPointSize;
+// Occlusion voxel value (0..255) at a world position, 0 outside the grid
+function occlusionAt(x, y, z) {
+  if (!occlusionTexture) return 0;
+  const { data, width, height, depth } = occlusionTexture.image;
+  const ix = Math.floor((x - occlusionMin.x) / occlusionVoxel);
+  const iy = Math.floor((y - occlusionMin.y) / occlusionVoxel);
+  const iz = Math.floor((z - occlusionMin.z) / occlusionVoxel);
+  if (ix < 0 || iy < 0 || iz < 0 || ix >= width || iy >= height || iz >= depth) return 0;
+  return data[ix + width * (iy + height * iz)];
+}
+
+// -------------------------------
+// Reflections (image sources)
+// -------------------------------
+// Large planar facades of the GLB, each mirrored source adds one first-order
+// reflected path in the analytic field
+const MAX_FACADES = 8;
+const FACADE_MIN_AREA = 400;    // square units
+const FACADE_MIN_FILL = 0.5;    // triangle area / bounding rectangle area
+const FACADE_ANGLE_BIN = 2;     // degrees
+const FACADE_OFFSET_BIN = 1.0;  // units
+const FACADE_MIN_OPEN = 0.4;    // share of the facade that must face open air
+
+let reflectionsEnabled = false;
+let reflectionCoeff = -0.6; // amplitude, negative = phase flip on reflection
+
+// Packed for the field shader:
+// plane  = (n, d) with n · x = d on the facade, n pointing out of the building
+// center = (centre, half width along axis)
+// axis   = (horizontal in-plane axis, half height)
+const facadePlanes = [];
+const facadeCenters = [];
+const facadeAxes = [];
+for (let i = 0; i < MAX_FACADES; i++) {
+  facadePlanes.push(new THREE.Vector4());
+  facadeCenters.push(new THREE.Vector4());
+  facadeAxes.push(new THREE.Vector4());
+}
+let facadeCount = 0;
+
+// Share of a 5 × 5 sample grid on the facade with open air 1.5 voxels in
+// front of it, according to the occlusion grid
+function facadeOpenShare(f, side) {
+  const p = new THREE.Vector3();
+  let open = 0;
+  for (let i = 0; i < 5; i++) {
+    for (let j = 0; j < 5; j++) {
+      p.copy(f.center)
+        .addScaledVector(f.axis, f.halfU * (i / 2 - 1) * 0.9)
+        .setY(f.center.y + f.halfV * (j / 2 - 1) * 0.9)
+        .addScaledVector(f.normal, side * 1.5 * occlusionVoxel);
+      if (occlusionAt(p.x, p.y, p.z) < 128) open++;
+    }
   }
-`;
+  return open / 25;
+}
 
-const fragmentShader = `
-  precision highp float;
-  varying float vAmplitude;
+// Group near-vertical triangles by plane and keep the largest, mostly filled
+// rectangles. Coplanar walls of neighbouring buildings merge into one group,
+// the fill ratio drops those whose rectangle would span a street. Normals are
+// flipped to face the open side; walls buried between buildings are dropped.
+// Expects buildOcclusionGrid() to have run on the same model.
+function findFacades(root) {
+  const groups = new Map();
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+  const n = new THREE.Vector3(), e1 = new THREE.Vector3(), e2 = new THREE.Vector3();
+
+  root.updateMatrixWorld(true);
+  root.traverse((obj) => {
+    if (!obj.isMesh || !obj.geometry.attributes.position) return;
+    const pos = obj.geometry.attributes.position;
+    const index = obj.geometry.index;
+    const triCount = index ? index.count / 3 : pos.count / 3;
+
+    for (let t = 0; t < triCount; t++) {
+      const i0 = index ? index.getX(3 * t) : 3 * t;
+      const i1 = index ? index.getX(3 * t + 1) : 3 * t + 1;
+      const i2 = index ? index.getX(3 * t + 2) : 3 * t + 2;
+      a.fromBufferAttribute(pos, i0).applyMatrix4(obj.matrixWorld);
+      b.fromBufferAttribute(pos, i1).applyMatrix4(obj.matrixWorld);
+      c.fromBufferAttribute(pos, i2).applyMatrix4(obj.matrixWorld);
+
+      n.crossVectors(e1.subVectors(b, a), e2.subVectors(c, a));
+      const area = n.length() / 2;
+      if (area < 1e-6) continue;
+      n.normalize();
+      if (Math.abs(n.y) > 0.2) continue; // roofs, ground, slopes
+
+      const d = n.dot(a);
+      const azimuth = Math.round(Math.atan2(n.z, n.x) * 180 / Math.PI / FACADE_ANGLE_BIN);
+      const key = azimuth + ":" + Math.round(d / FACADE_OFFSET_BIN);
+
+      let g = groups.get(key);
+      if (!g) {
+        g = { normal: new THREE.Vector3(), d: 0, area: 0, points: [] };
+        groups.set(key, g);
+      }
+      g.normal.addScaledVector(n, area);
+      g.d += d * area;
+      g.area += area;
+      g.points.push(a.clone(), b.clone(), c.clone());
+    }
+  });
 
-  void main() {
-    float a = clamp(vAmplitude * 1.5, -1.0, 1.0);
-    float r = max(0.0,  a);
-    float b = max(0.0, -a);
-    float alpha = abs(a);  
-    gl_FragColor = vec4(r, 0.0, b, alpha);
+  const up = new THREE.Vector3(0, 1, 0);
+  const facades = [];
+  for (const g of groups.values()) {
+    if (g.area < FACADE_MIN_AREA) continue;
+
+    const normal = g.normal.normalize();
+    normal.y = 0; // treat as exactly vertical
+    normal.normalize();
+    const d = g.d / g.area;
+    const axis = new THREE.Vector3().crossVectors(up, normal).normalize();
+
+    let uMin = Infinity, uMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+    for (const p of g.points) {
+      const u = p.dot(axis);
+      uMin = Math.min(uMin, u); uMax = Math.max(uMax, u);
+      vMin = Math.min(vMin, p.y); vMax = Math.max(vMax, p.y);
+    }
+    const rectArea = (uMax - uMin) * (vMax - vMin);
+    if (rectArea <= 0 || g.area / rectArea < FACADE_MIN_FILL) continue;
+
+    const center = normal.clone().multiplyScalar(d)
+      .addScaledVector(axis, (uMin + uMax) / 2)
+      .setY((vMin + vMax) / 2);
+    const f = { normal, d, axis, center, halfU: (uMax - uMin) / 2, halfV: (vMax - vMin) / 2, area: g.area };
+    const front = facadeOpenShare(f, 1);
+    const back = facadeOpenShare(f, -1);
+    if (Math.max(front, back) < FACADE_MIN_OPEN) continue;
+    if (back > front) {
+      f.normal.negate();
+      f.d = -f.d;
+      f.axis.negate();
+    }
+    facades.push(f);
   }
-`;
 
-function buildPointCloud() {
-  if (points) {
-    scene.remove(points);
-    points.geometry.dispose();
-    points.material.dispose();
-    points = null;
-  }
+  facades.sort((p, q) => q.area - p.area);
+  return facades.slice(0, MAX_FACADES);
+}
 
-  const ppu = mapDensityToPPU(densitySliderVal);
+function buildFacades(root) {
+  const facades = findFacades(root);
+  facadeCount = facades.length;
+  facades.forEach((f, i) => {
+    facadePlanes[i].set(f.normal.x, f.normal.y, f.normal.z, f.d);
+    facadeCenters[i].set(f.center.x, f.center.y, f.center.z, f.halfU);
+    facadeAxes[i].set(f.axis.x, f.axis.y, f.axis.z, f.halfV);
+  });
+}
 
-  resX = Math.max(2, Math.round(fieldSize.x * ppu));
-  resY = Math.max(2, Math.round(fieldSize.y * ppu));
-  resZ = Math.max(2, Math.round(fieldSize.z * ppu));
+// -------------------------------
+// Numerical solver (FDTD)
+// -------------------------------
+// Ported from tests/wave-interference: the wave equation is stepped on the GPU
+// with three ping-pong render targets. The grid is a true 3D volume spanning
+// the field volume, one texel per cell with texture axes = world X/Y/Z, and
+// each step renders it one Z slice at a time.
+const FDTD_STEPS_PER_FRAME = 4;
+const FDTD_CELLS_PER_LAMBDA = 6; // visual lambda 1 → 6 cells, 4 → 24 cells
+const FDTD_DRIVE = 0.2;          // source oscillator amplitude per step
+const PML_STRENGTH = 0.3;        // loss per step at the outer face of the absorbing layer
+
+// Materials the voxelized GLB meshes can be assigned in the solver.
+// speed: propagation speed relative to free space (1 / refractive index)
+// loss:  attenuation in dB per world unit travelled inside the material
+// solid: perfect conductor, the wave is pinned to zero (hard reflection)
+const SOLVER_MATERIALS = {
+  concrete: { label: "Concrete", speed: 0.45, loss: 1.0 },  // εr ≈ 5
+  glass: { label: "Glass", speed: 0.41, loss: 0.1 },        // εr ≈ 6
+  foliage: { label: "Foliage", speed: 0.82, loss: 0.3 },    // εr ≈ 1.5, wet leaves
+  water: { label: "Water", speed: 0.25, loss: 0.5 },        // εr ≈ 80 would be 0.11, held at 0.25 to stay resolvable
+  metal: { label: "Metal (solid)", speed: 0, loss: 0, solid: true },
+};
+const DEFAULT_SOLVER_MATERIAL = "concrete";
+
+let simMode = "analytic"; // "analytic" | "fdtd"
+let pmlCells = 16;        // absorbing boundary thickness, 0 = hard reflecting walls
+
+const solverRes = new THREE.Vector3(128, 32, 128); // cells along X/Y/Z
+const solverCell = new THREE.Vector3(1, 1, 1);     // world size of one cell
+let solverDt = 0.5; // sim seconds per step, wave speed is 1 world unit / sim second
+let solverTime = 0;
+
+let rtCurr = null; // u^t
+let rtPrev = null; // u^{t-1}
+let rtTemp = null; // u^{t+1}, written by the next step
+
+// Material map voxelized from the GLB, same layout as the wave state:
+// r = relative speed, g = loss per step, b = 1 for solid (pinned) cells
+let materialTexture = null;
+let materialsDirty = true; // field volume, model or assignments changed since last voxelization
+
+const simScene = new THREE.Scene();
+const simCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+const simMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    u_prev: { value: null },
+    u_prevPrev: { value: null },
+    u_materials: { value: null },
+    u_materialsOn: { value: 1.0 },
+    u_slice: { value: 0 },                      // Z index being written
+    u_gridSize: { value: solverRes },
+    u_courant2: { value: new THREE.Vector3() }, // (dt / cell)^2 per axis
+    u_damping: { value: 0.001 },
+    u_pmlCells: { value: new THREE.Vector3() }, // absorbing layer thickness per axis
+    u_pmlStrength: { value: PML_STRENGTH },
+    u_sources: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Vector4()) },
+    u_sourceCount: { value: 0 },
+  },
+  vertexShader: /* glsl */`
+    void main() {
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    precision highp float;
+    precision highp sampler3D;
+
+    uniform sampler3D u_prev;
+    uniform sampler3D u_prevPrev;
+    uniform sampler3D u_materials;
+    uniform float u_materialsOn;
+    uniform float u_slice;
+    uniform vec3 u_gridSize;
+    uniform vec3 u_courant2;
+    uniform float u_damping;
+    uniform vec3 u_pmlCells;
+    uniform float u_pmlStrength;
+    uniform vec4 u_sources[${MAX_SOURCES}]; // xyz = cell, w = drive this step
+    uniform int u_sourceCount;
+
+    // neighbor lookup, clamped at the faces (the edge cell mirrors itself)
+    float prevAt(ivec3 q) {
+      return texelFetch(u_prev, clamp(q, ivec3(0), ivec3(u_gridSize) - 1), 0).r;
+    }
 
-  totalPoints = resX * resY * resZ;
+    // Graded absorbing layer: the loss per step ramps up quadratically over
+    // the last u_pmlCells cells before each face, so outgoing waves die out
+    // instead of bouncing back into the field
+    float spongeLoss(vec3 cell) {
+      vec3 edge = min(cell, u_gridSize - 1.0 - cell);
+      vec3 depth = max(u_pmlCells - edge, 0.0) / max(u_pmlCells, vec3(1.0));
+      return u_pmlStrength * dot(depth, depth);
+    }
 
-  const positions = new Float32Array(totalPoints * 3);
+    void main() {
+      ivec3 c = ivec3(ivec2(gl_FragCoord.xy), int(u_slice));
+      vec3 cell = vec3(c);
 
-  let i = 0;
-  for (let ix = 0; ix < resX; ix++) {
-    const x = fieldCenter.x + (ix / (resX - 1) - 0.5) * fieldSize.x;
-    for (let iy = 0; iy < resY; iy++) {
-      const y = fieldCenter.y + (iy / (resY - 1) - 0.5) * fieldSize.y;
-      for (let iz = 0; iz < resZ; iz++) {
-        const z = fieldCenter.z + (iz / (resZ - 1) - 0.5) * fieldSize.z;
+      // per-cell material, free space when the map is switched off
+      vec4 mat = texelFetch(u_materials, c, 0);
+      if (u_materialsOn < 0.5) mat = vec4(1.0, 0.0, 0.0, 0.0);
 
-        const idx = i * 3;
-        positions[idx] = x;
-        positions[idx + 1] = y;
-        positions[idx + 2] = z;
-        i++;
+      // solid obstacles: pin displacement to 0
+      if (mat.b > 0.5) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+      }
+
+      float center = prevAt(c);
+
+      float lapX = prevAt(c + ivec3(1, 0, 0)) + prevAt(c - ivec3(1, 0, 0)) - 2.0 * center;
+      float lapY = prevAt(c + ivec3(0, 1, 0)) + prevAt(c - ivec3(0, 1, 0)) - 2.0 * center;
+      float lapZ = prevAt(c + ivec3(0, 0, 1)) + prevAt(c - ivec3(0, 0, 1)) - 2.0 * center;
+
+      // continuous oscillators, spread over a Gaussian about one cell wide
+      float src = 0.0;
+      for (int i = 0; i < ${MAX_SOURCES}; i++) {
+        if (i >= u_sourceCount) break;
+        vec3 d = cell - u_sources[i].xyz;
+        src += u_sources[i].w * exp(-dot(d, d));
       }
+
+      float prevPrev = texelFetch(u_prevPrev, c, 0).r;
+      float loss = spongeLoss(cell) + mat.g;
+      float speed2 = mat.r * mat.r;
+
+      float next = ((2.0 - u_damping) * center
+                 - (1.0 - u_damping - loss) * prevPrev
+                 + speed2 * (u_courant2.x * lapX + u_courant2.y * lapY + u_courant2.z * lapZ)
+                 + src) / (1.0 + loss);
+
+      next = clamp(next, -5.0, 5.0);
+      gl_FragColor = vec4(next, 0.0, 0.0, 1.0);
     }
+  `
+});
+
+const simQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), simMaterial);
+simScene.add(simQuad);
+
+function createSolverTarget(res = solverRes) {
+  const rt = new THREE.WebGL3DRenderTarget(res.x, res.y, res.z);
+  rt.depthBuffer = false;
+  rt.texture.format = THREE.RedFormat;
+  rt.texture.type = THREE.FloatType;
+  rt.texture.minFilter = THREE.NearestFilter;
+  rt.texture.magFilter = THREE.NearestFilter;
+  return rt;
+}
+
+// (Re)create the wave state and material volumes at the current resolution
+function allocateSolver() {
+  for (const rt of [rtCurr, rtPrev, rtTemp]) {
+    if (rt) rt.dispose();
   }
+  rtCurr = createSolverTarget();
+  rtPrev = createSolverTarget();
+  rtTemp = createSolverTarget();
 
-  geometry = new THREE.BufferGeometry();
-  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  if (materialTexture) materialTexture.dispose();
+  materialTexture = new THREE.Data3DTexture(
+    new Float32Array(solverRes.x * solverRes.y * solverRes.z * 4), solverRes.x, solverRes.y, solverRes.z
+  );
+  materialTexture.format = THREE.RGBAFormat;
+  materialTexture.type = THREE.FloatType;
+  simMaterial.uniforms.u_materials.value = materialTexture;
 
-  material = new THREE.ShaderMaterial({
-    uniforms: {
-      uTime: { value: 0 },
-      uSource1Pos: { value: new THREE.Vector3() },
-      uSource2Pos: { value: new THREE.Vector3() },
-      uSource3Pos: { value: new THREE.Vector3() },
-      uK1: { value: 1.0 },
-      uOmega1: { value: 1.0 },
-      uK2: { value: 1.0 },
-      uOmega2: { value: 1.0 },
-      uK3: { value: 1.0 },
-      uOmega3: { value: 1.0 },
-      uPointSize: { value: 2.0 }
-    },
-    vertexShader,
-    fragmentShader,
-    transparent: true,
-    depthWrite: false,
-  });
+  materialsDirty = true;
+  updateSolverBoundary();
+  resetSolver();
+}
 
-  points = new THREE.Points(geometry, material);
-  scene.add(points);
+// Wave state copy, one Z slice per draw (for simulation snapshots)
+const copyScene = new THREE.Scene();
+const copyMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    u_source: { value: null },
+    u_slice: { value: 0 }
+  },
+  vertexShader: /* glsl */`
+    void main() {
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    precision highp sampler3D;
+    uniform sampler3D u_source;
+    uniform float u_slice;
+
+    void main() {
+      gl_FragColor = texelFetch(u_source, ivec3(ivec2(gl_FragCoord.xy), int(u_slice)), 0);
+    }
+  `
+});
+copyScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), copyMaterial));
+
+function copyRT(from, to) {
+  copyMaterial.uniforms.u_source.value = from.texture;
+  for (let z = 0; z < to.depth; z++) {
+    copyMaterial.uniforms.u_slice.value = z;
+    renderer.setRenderTarget(to, z);
+    renderer.render(copyScene, simCamera);
+  }
+  renderer.setRenderTarget(null);
 }
 
-// -------------------------------
-// Sources
-// -------------------------------
-const source1Mesh = new THREE.Mesh(
-  new THREE.SphereGeometry(0.3, 24, 16),
-  new THREE.MeshBasicMaterial({ color: 0xffff00 })
-);
-scene.add(source1Mesh);
+function clearRT(rt) {
+  for (let z = 0; z < rt.depth; z++) {
+    renderer.setRenderTarget(rt, z);
+    renderer.clear(); // default clear color is black = no displacement
+  }
+  renderer.setRenderTarget(null);
+}
 
-const source2Mesh = new THREE.Mesh(
-  new THREE.SphereGeometry(0.3, 24, 16),
-  new THREE.MeshBasicMaterial({ color: 0xffff00 })
-);
-scene.add(source2Mesh);
+// Zero the wave state, e.g. after the field volume moved under it; the
+// snapshots of the old state can't be replayed from any more
+function resetSolver() {
+  clearSolverState();
+  clearSnapshots();
+}
 
-const source3Mesh = new THREE.Mesh(
-  new THREE.SphereGeometry(0.3, 24, 16),
-  new THREE.MeshBasicMaterial({ color: 0xffff00 })
-);
-scene.add(source3Mesh);
+function clearSolverState() {
+  clearRT(rtCurr);
+  clearRT(rtPrev);
+  clearRT(rtTemp);
+  solverTime = 0;
+}
 
-const source1Pos = new THREE.Vector3();
-const source2Pos = new THREE.Vector3();
-const source3Pos = new THREE.Vector3();
+// Voxelize each GLB mesh over the field volume at solver resolution and write
+// its assigned material into the cells it covers. The voxel grid layout is the
+// 3D texture layout, so no re-packing is needed. Meshes later in the scene
+// graph win overlaps.
+function buildSolverMaterials() {
+  materialsDirty = false;
+
+  const data = materialTexture.image.data;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 1;     // free space speed
+    data[i + 1] = 0; // no loss
+    data[i + 2] = 0; // not solid
+    data[i + 3] = 1;
+  }
 
-// Auto-move toggles
-let source1Auto = true;
-let source2Auto = true;
-let source3Auto = true;
+  if (model) {
+    const boxMin = fieldCenter.clone().addScaledVector(fieldSize, -0.5);
+    const boxMax = fieldCenter.clone().addScaledVector(fieldSize, 0.5);
 
-// Hard-coded velocities (you can tweak these)
-const cRadius = 1.5;
-const source1Velocity = new THREE.Vector3(randIntRange(-cRadius, cRadius), 0.3, randIntRange(-cRadius, cRadius));
-const source2Velocity = new THREE.Vector3(randIntRange(-cRadius, cRadius), 0.4, randIntRange(-cRadius, cRadius));
-const source3Velocity = new THREE.Vector3(randIntRange(-cRadius, cRadius), 0.4, randIntRange(-cRadius, cRadius));
+    // Border cells only seed the outside flood where the coarse occlusion grid,
+    // which was filled over the whole model, says there is air
+    const canSeed = (x, y, z) => occlusionAt(
+      boxMin.x + (x + 0.5) * solverCell.x,
+      boxMin.y + (y + 0.5) * solverCell.y,
+      boxMin.z + (z + 0.5) * solverCell.z
+    ) < 128;
 
-function updateSource1FromSliders() {
-  const sx = Number(source1XSlider.value);
-  const sy = Number(source1YSlider.value);
-  const sz = Number(source1ZSlider.value);
+    model.traverse((obj) => {
+      if (!obj.isMesh) return;
 
-  source1Pos.set(
-    mapSliderToBounds(sx, boundsMin.x, boundsMax.x),
-    mapSliderToBounds(sy, boundsMin.y, boundsMax.y),
-    mapSliderToBounds(sz, boundsMin.z, boundsMax.z)
-  );
-  source1Mesh.position.copy(source1Pos);
-}
+      const mat = SOLVER_MATERIALS[obj.userData.solverMaterial] || SOLVER_MATERIALS[DEFAULT_SOLVER_MATERIAL];
 
-function randIntRange(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
+      // dB per unit → loss per step: s = σ·dt with σ = α·speed (nepers per sim second)
+      const lossPerStep = (mat.loss * Math.LN10 / 20) * mat.speed * solverDt;
 
-function updateSource2FromSliders() {
-  const sx = Number(source2XSlider.value);
-  const sy = Number(source2YSlider.value);
-  const sz = Number(source2ZSlider.value);
+      const grid = voxelizeObject(obj, boxMin, boxMax, solverRes.x, solverRes.y, solverRes.z, canSeed);
 
-  source2Pos.set(
-    mapSliderToBounds(sx, boundsMin.x, boundsMax.x),
-    mapSliderToBounds(sy, boundsMin.y, boundsMax.y),
-    mapSliderToBounds(sz, boundsMin.z, boundsMax.z)
+      for (let i = 0; i < grid.length; i++) {
+        if (!grid[i]) continue;
+        data[4 * i] = mat.speed;
+        data[4 * i + 1] = lossPerStep;
+        data[4 * i + 2] = mat.solid ? 1 : 0;
+      }
+    });
+  }
+
+  materialTexture.needsUpdate = true;
+}
+
+// Absorbing layer thickness per axis, capped at a quarter of the cells so a
+// thin axis keeps an undamped core
+function updateSolverBoundary() {
+  simMaterial.uniforms.u_pmlCells.value.set(
+    Math.min(pmlCells, Math.floor(solverRes.x / 4)),
+    Math.min(pmlCells, Math.floor(solverRes.y / 4)),
+    Math.min(pmlCells, Math.floor(solverRes.z / 4))
   );
-  source2Mesh.position.copy(source2Pos);
 }
 
-function updateSource3FromSliders() {
-  const sx = Number(source3XSlider.value);
-  const sy = Number(source3YSlider.value);
-  const sz = Number(source3ZSlider.value);
+// Match cell sizes and time step to the current field volume
+function updateSolverGeometry() {
+  solverCell.set(
+    fieldSize.x / solverRes.x,
+    fieldSize.y / solverRes.y,
+    fieldSize.z / solverRes.z
+  );
 
-  source3Pos.set(
-    mapSliderToBounds(sx, boundsMin.x, boundsMax.x),
-    mapSliderToBounds(sy, boundsMin.y, boundsMax.y),
-    mapSliderToBounds(sz, boundsMin.z, boundsMax.z)
+  // CFL: c·dt·sqrt(Σ 1/h²) ≤ 1 in 3D, keep a 2× safety margin
+  solverDt = 0.5 / Math.sqrt(
+    1 / (solverCell.x * solverCell.x) +
+    1 / (solverCell.y * solverCell.y) +
+    1 / (solverCell.z * solverCell.z)
+  );
+
+  simMaterial.uniforms.u_courant2.value.set(
+    (solverDt / solverCell.x) ** 2,
+    (solverDt / solverCell.y) ** 2,
+    (solverDt / solverCell.z) ** 2
   );
-  source3Mesh.position.copy(source3Pos);
+
+  materialsDirty = true;
 }
 
-// -------------------------------
-// Optional GLB (for bounds + visuals)
-// -------------------------------
-if (GLTFLoader) {
-  const loader = new GLTFLoader();
-  loader.load(
-    "models/obstacle1.glb",
-    (gltf) => {
-      const root = gltf.scene;
-      root.position.set(0, 0, 0);
+// Shortest wavelength the grid resolves with FDTD_CELLS_PER_LAMBDA cells
+function getSolverMinLambda() {
+  return FDTD_CELLS_PER_LAMBDA * Math.max(solverCell.x, solverCell.y, solverCell.z);
+}
 
-      model = root; // store reference for material switching
-      scene.add(model);
+// Wavelength the solver uses for a source. Visual: the visual lambda, scaled so
+// that even the shortest one is resolved. Physical: λ = c/f, clamped to what the
+// grid resolves (see isSolverLambdaClamped)
+function getSolverLambdaFromFrequency(f) {
+  if (lambdaMode === "physical") {
+    return Math.max(getPhysicalLambdaFromFrequency(f), getSolverMinLambda());
+  }
+  return getVisualLambdaFromFrequency(f) * getSolverMinLambda();
+}
 
-      model.traverse((obj) => {
-        if (obj.isMesh) {
-          obj.castShadow = false;
-          obj.receiveShadow = false;
+function isSolverLambdaClamped(f) {
+  return lambdaMode === "physical" && getPhysicalLambdaFromFrequency(f) < getSolverMinLambda();
+}
 
-          // optional: remember original material
-          obj.userData.originalMaterial = obj.material;
+function setSolverSource(i, pos, freq, wave) {
+  const src = simMaterial.uniforms.u_sources.value[i];
 
-          // initial material (will be overridden by applyMaterialMode as well)
-          obj.material = gridMaterial;
-        }
-      });
+  // world → continuous cell coordinates
+  src.set(
+    (pos.x - fieldCenter.x) / fieldSize.x * solverRes.x + solverRes.x / 2 - 0.5,
+    (pos.y - fieldCenter.y) / fieldSize.y * solverRes.y + solverRes.y / 2 - 0.5,
+    (pos.z - fieldCenter.z) / fieldSize.z * solverRes.z + solverRes.z / 2 - 0.5,
+    0
+  );
 
-      // Apply whatever mode is currently selected
-      applyMaterialMode(currentMaterialMode);
+  const inside =
+    src.x >= 0 && src.x <= solverRes.x - 1 &&
+    src.y >= 0 && src.y <= solverRes.y - 1 &&
+    src.z >= 0 && src.z <= solverRes.z - 1;
+  if (!inside) return;
+
+  // Solver time runs at its own carrier, map it onto the waveform's display
+  // clock: the carrier phase stays omega * solverTime, gates and modulation
+  // follow the display clock
+  const omega = (2 * Math.PI) / getSolverLambdaFromFrequency(freq);
+  const omegaDisplay = getDisplayOmegaFromFrequency(freq);
+  src.w = FDTD_DRIVE * waveformSignal(wave, omegaDisplay, solverTime * omega / omegaDisplay);
+}
 
-      // Compute bounding box in world space
-      model.updateWorldMatrix(true, true);
-      const bbox = new THREE.Box3().setFromObject(model);
-      const size = new THREE.Vector3();
-      bbox.getSize(size);
-      bbox.getCenter(boundsCenter);
+function stepSimulation() {
+  solverTime += solverDt;
+  let n = 0;
+  for (const src of sources) {
+    if (src.enabled) setSolverSource(n++, src.pos, src.freq, src.wave);
+  }
+  simMaterial.uniforms.u_sourceCount.value = n;
 
-      boundsMin.copy(bbox.min);
-      boundsMax.copy(bbox.max);
+  // rtCurr & rtPrev -> rtTemp, one Z slice per draw
+  simMaterial.uniforms.u_prev.value = rtCurr.texture;
+  simMaterial.uniforms.u_prevPrev.value = rtPrev.texture;
 
-      console.log("GLB bounds:", boundsMin, boundsMax, "size:", size);
+  for (let z = 0; z < solverRes.z; z++) {
+    simMaterial.uniforms.u_slice.value = z;
+    renderer.setRenderTarget(rtTemp, z);
+    renderer.render(simScene, simCamera);
+  }
+  renderer.setRenderTarget(null);
 
-      // --- 1) Snap field center to model center ---
-      fieldCenter.copy(boundsCenter);
+  // rotate buffers
+  const oldPrev = rtPrev;
+  rtPrev = rtCurr;
+  rtCurr = rtTemp;
+  rtTemp = oldPrev;
+}
+
+// -------------------------------
+// Point cloud + shaders
+// -------------------------------
+let points = null;
+let geometry = null;
+let material = null;
+
+// Analytic field model shared by every pass that samples it (the point cloud,
+// the probe receivers); pair it with the uniforms from getFieldUniforms()
+const fieldShaderChunk = `
+  precision highp sampler3D;
+
+  const int MAX_FACADES = ${MAX_FACADES};
+  const int MAX_SOURCES = ${MAX_SOURCES};
+
+  uniform float uTime;
+
+  // One row per enabled source, packed by writeSourceTexture()
+  uniform sampler2D uSources;
+  uniform int   uSourceCount;
+
+  uniform sampler3D uOccupancy;
+  uniform vec3  uOccMin;
+  uniform vec3  uOccSize;
+  uniform float uOccVoxel;
+  uniform float uOcclusion; // 1.0 = shadowing on
+  uniform float uWallLoss;  // amplitude loss (nepers) per unit inside geometry
+  uniform float uDiffraction; // 1.0 = knife-edge paths over roofs / around corners
+  uniform sampler2D uHeightMap;
+
+  uniform float uSimMode;   // 0 = analytic, 1 = numerical (FDTD)
+  uniform sampler3D uSolverState;
+  uniform vec3  uFieldMin;
+  uniform vec3  uFieldSize;
+  uniform float uSolverGain;
+  uniform float uMinLambda; // shorter wavelengths are drawn as their envelope too (0 = off)
+
+  uniform float uDisplayMode;   // 0 = amplitude, 1 = received power (dBm), 2 = mean intensity
+  uniform float uMetersPerUnit;
+  uniform vec2  uPowerRange;    // dBm at the bottom / top of the legend
+
+  uniform sampler2D uAntennaPatterns;
+
+  // Emission history for Doppler: row per source, ring of positions
+  uniform float uDoppler;
+  uniform sampler2D uSourceHistory;
+  uniform float uHistoryHead;   // column of the newest sample
+  uniform float uHistoryCount;  // valid samples
+  uniform float uHistoryTime;   // time of the newest sample
+
+  uniform float uReflections;     // 1.0 = add first-order facade reflections
+  uniform float uReflectionCoeff; // amplitude reflection coefficient
+  uniform int   uFacadeCount;
+  uniform vec4  uFacadePlane[MAX_FACADES];  // outward normal, offset
+  uniform vec4  uFacadeCenter[MAX_FACADES]; // centre, half width
+  uniform vec4  uFacadeAxis[MAX_FACADES];   // horizontal axis, half height
+
+  const float FOUR_PI = 12.5663706;
+  const float INV_LN10 = 0.4342944819;
+  const float HALF_PI = 1.5707963;
+  const float ANTENNA_FLOOR_DB = -40.0;
+  const int MAX_ARRAY = 8; // elements per array axis
+  const float TWO_PI = 6.2831853;
+  const float SOURCE_HISTORY = ${SOURCE_HISTORY}.0;
+  const float SOURCE_HISTORY_DT = ${SOURCE_HISTORY_DT};
+  const int RETARDED_ITERATIONS = ${RETARDED_ITERATIONS};
+
+  struct Source {
+    vec3  pos;
+    float slot;     // row (pair) in the history / pattern textures
+    float k;
+    float omega;
+    float eirp;     // Tx power + antenna gain, dBm
+    float lambdaM;  // real wavelength, meters
+    float antType;  // index into ANTENNA_TYPES
+    mat3  toLocal;  // world → antenna frame rotation
+    vec4  arr;      // phased array: elements along local Z, along local Y, spacing in λ
+    vec2  steer;    // beam azimuth, elevation in radians in the antenna frame
+    vec4  wave;     // type index into WAVEFORM_TYPES, rate Hz, depth
+    float unresolved; // 1.0 = wavelength below the point spacing, drawn as its envelope
+  };
+
+  // Texel layout mirrors writeSourceTexture()
+  Source loadSource(int i) {
+    vec4 t0 = texelFetch(uSources, ivec2(0, i), 0);
+    vec4 t1 = texelFetch(uSources, ivec2(1, i), 0);
+    vec4 t2 = texelFetch(uSources, ivec2(2, i), 0);
+    vec4 t3 = texelFetch(uSources, ivec2(3, i), 0);
+
+    Source s;
+    s.pos = t0.xyz;
+    s.slot = t0.w;
+    s.k = t1.x;
+    s.omega = t1.y;
+    s.eirp = t1.z;
+    s.lambdaM = t1.w;
+    s.antType = t2.x;
+    s.arr = vec4(t2.yzw, 0.0);
+    s.steer = t3.xy;
+    s.unresolved = t3.z;
+    s.wave = texelFetch(uSources, ivec2(4, i), 0);
+    s.toLocal = mat3(
+      texelFetch(uSources, ivec2(5, i), 0).xyz,
+      texelFetch(uSources, ivec2(6, i), 0).xyz,
+      texelFetch(uSources, ivec2(7, i), 0).xyz
+    );
+    return s;
+  }
+
+  const int MAX_OCC_STEPS = 96;
+  const int REFL_OCC_STEPS = 16; // per leg of a reflected path
+  const int DIFF_STEPS = 32;     // profile samples along a diffracted path
+  const int CORNER_STEPS = 16;   // voxels searched sideways for a corner
+  const float MAX_DIFF_LOSS_DB = 80.0;
+
+  // Fraction of the amplitude surviving the straight path from src to pos,
+  // marched through the voxelized model roughly one voxel per step
+  float transmissionSteps(vec3 pos, vec3 src, int maxSteps) {
+    if (uOcclusion < 0.5) return 1.0;
+
+    vec3 d = src - pos;
+    float len = length(d);
+    int n = int(clamp(ceil(len / uOccVoxel), 1.0, float(maxSteps)));
+    float ds = len / float(n);
+
+    float depth = 0.0;
+    for (int i = 0; i < MAX_OCC_STEPS; i++) {
+      if (i >= n) break;
+      vec3 q = pos + d * ((float(i) + 0.5) / float(n));
+      depth += texture(uOccupancy, (q - uOccMin) / uOccSize).r * ds;
+    }
+    return exp(-uWallLoss * depth);
+  }
+
+  float transmission(vec3 pos, vec3 src) {
+    return transmissionSteps(pos, src, MAX_OCC_STEPS);
+  }
+
+  float roofHeight(vec2 xz) {
+    return uOccMin.y + texture(uHeightMap, (xz - uOccMin.xz) / uOccSize.xz).r * uOccSize.y;
+  }
+
+  // ITU-R P.526 single knife-edge loss (dB) for the Fresnel-Kirchhoff parameter v
+  float knifeEdgeLossDb(float v) {
+    if (v <= -0.78) return 0.0;
+    float t = v - 0.1;
+    return 6.9 + 20.0 * log(sqrt(t * t + 1.0) + t) * INV_LN10;
+  }
+
+  // Fresnel-Kirchhoff parameter for an edge h above the line, d1 / d2 from the ends
+  float fresnelV(float h, float d1, float d2, float lambda) {
+    return h * sqrt(2.0 * (d1 + d2) / (lambda * d1 * d2));
+  }
+
+  // Dominant rooftop edge between a and b: (v, fraction along a → b).
+  // Samples closer than guard to either end are skipped.
+  vec2 worstRoofEdge(vec3 a, vec3 b, float lambda, float guard) {
+    float d = length(b - a);
+    vec2 worst = vec2(-1e9, 0.5);
+    for (int i = 1; i < DIFF_STEPS; i++) {
+      float f = float(i) / float(DIFF_STEPS);
+      float d1 = f * d;
+      float d2 = d - d1;
+      if (d1 < guard || d2 < guard) continue;
+
+      vec3 q = mix(a, b, f);
+      float v = fresnelV(roofHeight(q.xz) - q.y, d1, d2, lambda);
+      if (v > worst.x) worst = vec2(v, f);
+    }
+    return worst;
+  }
+
+  // Deygout over the roofs: the main edge, then the worst edge on either side of it
+  float rooftopLossDb(vec3 pos, vec3 src, float lambda) {
+    vec2 top = worstRoofEdge(src, pos, lambda, 0.5 * uOccVoxel);
+    if (top.x <= -0.78) return 0.0;
+
+    vec3 edge = mix(src, pos, top.y);
+    edge.y = roofHeight(edge.xz);
+    return knifeEdgeLossDb(top.x) +
+           knifeEdgeLossDb(worstRoofEdge(src, edge, lambda, 1.5 * uOccVoxel).x) +
+           knifeEdgeLossDb(worstRoofEdge(edge, pos, lambda, 1.5 * uOccVoxel).x);
+  }
+
+  // Around a building corner: at the most central blocked point of the direct
+  // path, the sideways distance to open air is the clearance of a vertical edge
+  float cornerLossDb(vec3 pos, vec3 src, float lambda) {
+    float d = length(pos - src);
+    float bestF = -1.0;
+    for (int i = 1; i < DIFF_STEPS; i++) {
+      float f = float(i) / float(DIFF_STEPS);
+      vec3 q = mix(src, pos, f);
+      bool blocked = texture(uOccupancy, (q - uOccMin) / uOccSize).r > 0.5;
+      if (blocked && (bestF < 0.0 || abs(f - 0.5) < abs(bestF - 0.5))) bestF = f;
+    }
+    if (bestF < 0.0) return 0.0;
+
+    vec3 q = mix(src, pos, bestF);
+    vec3 side = cross(pos - src, vec3(0.0, 1.0, 0.0));
+    if (dot(side, side) < 1e-8) return MAX_DIFF_LOSS_DB; // vertical path
+    side = normalize(side);
+
+    float clearance = 1e9;
+    for (int i = 1; i <= CORNER_STEPS; i++) {
+      float s = float(i) * uOccVoxel;
+      if (texture(uOccupancy, (q + side * s - uOccMin) / uOccSize).r < 0.5 ||
+          texture(uOccupancy, (q - side * s - uOccMin) / uOccSize).r < 0.5) {
+        clearance = s;
+        break;
+      }
+    }
+    if (clearance > 1e8) return MAX_DIFF_LOSS_DB;
+    return knifeEdgeLossDb(fresnelV(clearance, bestF * d, (1.0 - bestF) * d, lambda));
+  }
+
+  // Amplitude surviving the obstacles between src and pos: through the walls,
+  // or with diffraction on, over the roofs / around a corner if that is stronger
+  float obstruction(vec3 pos, vec3 src, float lambda) {
+    float T = transmission(pos, src);
+    if (uDiffraction < 0.5 || uOcclusion < 0.5 || T > 0.999) return T;
+
+    float lossDb = min(min(rooftopLossDb(pos, src, lambda), cornerLossDb(pos, src, lambda)), MAX_DIFF_LOSS_DB);
+    return max(T, pow(10.0, -lossDb / 20.0));
+  }
+
+  // Imported pattern row at an angle in degrees, one texel per degree. The
+  // float texture isn't filtered (that needs OES_texture_float_linear), so
+  // neighbouring degrees are blended here, within the row.
+  float importedPatternDb(float row, float deg) {
+    float x = mod(deg, 360.0);
+    float i0 = floor(x);
+    float a = texelFetch(uAntennaPatterns, ivec2(int(i0), int(row)), 0).r;
+    float b = texelFetch(uAntennaPatterns, ivec2(int(mod(i0 + 1.0, 360.0)), int(row)), 0).r;
+    return mix(a, b, x - i0);
+  }
+
+  // Relative antenna gain (dB) from src towards pos, mirrors antennaPatternDb()
+  float antennaGainDb(vec3 pos, vec3 src, float type, mat3 toLocal, float slot) {
+    if (type < 0.5) return 0.0;
+
+    vec3 d = toLocal * normalize(pos - src + vec3(0.0, 1e-6, 0.0));
+    if (type < 1.5) {
+      // half-wave dipole along local Y
+      float s = sqrt(max(1.0 - d.y * d.y, 1e-6));
+      float f = cos(HALF_PI * d.y) / s;
+      return max(20.0 * log(max(f, 1e-6)) * INV_LN10, ANTENNA_FLOOR_DB);
+    }
+
+    float phi = degrees(atan(d.z, d.x));
+    float el = degrees(asin(clamp(d.y, -1.0, 1.0)));
+    if (type < 2.5) {
+      // 3GPP sector: 65° horizontal, 10° vertical beamwidth
+      float aH = min(12.0 * (phi / 65.0) * (phi / 65.0), 30.0);
+      float aV = min(12.0 * (el / 10.0) * (el / 10.0), 30.0);
+      return -min(aH + aV, 30.0);
+    }
+    if (type < 3.5) {
+      // patch: cosine lobe, 25 dB front-to-back
+      return d.x > 0.0 ? max(20.0 * log(max(d.x, 1e-6)) * INV_LN10, -25.0) : -25.0;
+    }
+
+    // imported: horizontal + vertical attenuation
+    float h = importedPatternDb(slot * 2.0, phi);
+    float v = importedPatternDb(slot * 2.0 + 1.0, -el);
+    return max(-(h + v), ANTENNA_FLOOR_DB);
+  }
+
+  vec3 steerDirection(vec2 steer) {
+    return vec3(cos(steer.y) * cos(steer.x), sin(steer.y), -cos(steer.y) * sin(steer.x));
+  }
+
+  // Far-field array factor magnitude from src towards pos, scaled so the array
+  // radiates the same total power as one element (peak = sqrt(N)).
+  // Mirrors arrayFactorDb() on the CPU side.
+  float arrayFactor(vec3 pos, vec3 src, mat3 toLocal, vec4 arr, vec2 steer) {
+    float n = arr.x * arr.y;
+    if (n < 1.5) return 1.0;
+
+    vec3 d = toLocal * normalize(pos - src + vec3(0.0, 1e-6, 0.0)) - steerDirection(steer);
+    float re = 0.0, im = 0.0;
+    for (int i = 0; i < MAX_ARRAY; i++) {
+      if (float(i) >= arr.x) break;
+      for (int j = 0; j < MAX_ARRAY; j++) {
+        if (float(j) >= arr.y) break;
+        float psi = TWO_PI * arr.z *
+          ((float(i) - 0.5 * (arr.x - 1.0)) * d.z + (float(j) - 0.5 * (arr.y - 1.0)) * d.y);
+        re += cos(psi);
+        im += sin(psi);
+      }
+    }
+    return sqrt(re * re + im * im) / sqrt(n);
+  }
+
+  vec3 historySample(float row, float age) {
+    float col = mod(uHistoryHead - age, SOURCE_HISTORY);
+    return texelFetch(uSourceHistory, ivec2(int(col), int(row)), 0).xyz;
+  }
+
+  // Position of source row at time tau: the live position after the newest
+  // sample, the oldest one before the start of the history
+  vec3 sourceAt(float row, vec3 now, float tau) {
+    if (tau >= uHistoryTime) {
+      float f = uTime > uHistoryTime ? min((tau - uHistoryTime) / (uTime - uHistoryTime), 1.0) : 1.0;
+      return mix(historySample(row, 0.0), now, f);
+    }
+    float age = min((uHistoryTime - tau) / SOURCE_HISTORY_DT, uHistoryCount - 1.0);
+    float a0 = floor(age);
+    return mix(historySample(row, a0), historySample(row, min(a0 + 1.0, uHistoryCount - 1.0)), age - a0);
+  }
+
+  // Where the source was when the wave reaching pos at time t left it: solves
+  // t - tau = |pos - s(tau)| / c by bisection over the history. Mirrors retardedTime()
+  vec3 retardedSource(vec3 pos, float row, vec3 now, float c, float t) {
+    if (uDoppler < 0.5 || uHistoryCount < 2.0) return now;
+
+    float lo = uHistoryTime - (uHistoryCount - 1.0) * SOURCE_HISTORY_DT;
+    vec3 oldest = sourceAt(row, now, lo);
+    if (t - lo < length(pos - oldest) / c) return oldest;
+
+    float hi = t;
+    for (int i = 0; i < RETARDED_ITERATIONS; i++) {
+      float mid = 0.5 * (lo + hi);
+      if (t - mid < length(pos - sourceAt(row, now, mid)) / c) hi = mid;
+      else lo = mid;
+    }
+    return sourceAt(row, now, 0.5 * (lo + hi));
+  }
+
+  // Carrier phase of the emitted waveform at time tau, mirrors waveformSignal()
+  float wavePhase(vec4 wave, float omega, float tau) {
+    if (wave.x > 1.5 && wave.x < 2.5) {
+      // linear chirp from f to (1 + depth) f, restarting every period
+      float period = 1.0 / wave.y;
+      float tm = mod(tau, period);
+      return omega * (tm + wave.z * tm * tm / (2.0 * period));
+    }
+    if (wave.x > 3.5) {
+      // FM
+      return omega * tau + 5.0 * wave.z * sin(TWO_PI * wave.y * tau);
+    }
+    return omega * tau;
+  }
+
+  // Amplitude gate of the emitted waveform at time tau (1 for CW)
+  float waveGate(vec4 wave, float tau) {
+    if (wave.x > 0.5 && wave.x < 1.5) {
+      // half-sine pulse, depth = duty cycle
+      float x = fract(tau * wave.y);
+      float duty = max(wave.z, 0.02);
+      return x < duty ? sin(3.1415927 * x / duty) : 0.0;
+    }
+    if (wave.x > 2.5 && wave.x < 3.5) {
+      // AM
+      return (1.0 + wave.z * cos(TWO_PI * wave.y * tau)) / (1.0 + wave.z);
+    }
+    return 1.0;
+  }
+
+  // Field of the waveform emitted at retarded time tau; CW gives sin(k r - omega t)
+  float waveAt(vec4 wave, float omega, float tau) {
+    return -sin(wavePhase(wave, omega, tau)) * waveGate(wave, tau);
+  }
+
+  // Peak amplitude reaching pos: spreading plus obstacle loss at wavelength lambda
+  float envFromSource(vec3 pos, vec3 src, float lambda) {
+    float r = length(pos - src) + 1e-6;
+    return obstruction(pos, src, lambda) / (1.0 + 0.05 * r);
+  }
+
+  float ampFromSource(vec3 pos, vec3 src, float k, float omega, vec4 wave, float t) {
+    vec3 d = pos - src;
+    float r = length(d) + 1e-6;
+    return waveAt(wave, omega, t - r * k / omega) * envFromSource(pos, src, TWO_PI / k);
+  }
+
+  // Instantaneous field of a source, summing every element of a phased array
+  // at its own distance, delayed so the crests line up along the beam
+  float sourceAmp(vec3 pos, vec3 src, float k, float omega, vec4 wave, mat3 toLocal, vec4 arr, vec2 steer, float t) {
+    float n = arr.x * arr.y;
+    if (n < 1.5) return ampFromSource(pos, src, k, omega, wave, t);
+
+    mat3 toWorld = transpose(toLocal);
+    vec3 u = steerDirection(steer);
+    float pitch = arr.z * TWO_PI / k;
+    float sum = 0.0;
+    for (int i = 0; i < MAX_ARRAY; i++) {
+      if (float(i) >= arr.x) break;
+      for (int j = 0; j < MAX_ARRAY; j++) {
+        if (float(j) >= arr.y) break;
+        vec3 off = vec3(0.0, float(j) - 0.5 * (arr.y - 1.0), float(i) - 0.5 * (arr.x - 1.0)) * pitch;
+        float r = length(pos - src - toWorld * off) + 1e-6;
+        sum += waveAt(wave, omega, t - (r - dot(off, u)) * k / omega) / (1.0 + 0.05 * r);
+      }
+    }
+    return sum / sqrt(n) * obstruction(pos, src, TWO_PI / k);
+  }
+
+  // Friis free-space path loss (dB) over r world units. Distances inside
+  // λ/4π are clamped so the path loss never turns into gain
+  float pathLossDb(float r, float lambdaM) {
+    float d = max(r * uMetersPerUnit, lambdaM / FOUR_PI);
+    return 20.0 * log(FOUR_PI * d / lambdaM) * INV_LN10;
+  }
+
+  // Received power (dBm) from one source at an isotropic 0 dBi receiver:
+  // EIRP minus path loss, minus the obstacle loss on the way
+  float rxPowerFromSource(vec3 pos, vec3 src, float eirp, float lambdaM) {
+    float wall = 20.0 * log(max(obstruction(pos, src, lambdaM / uMetersPerUnit), 1e-12)) * INV_LN10;
+    return eirp - pathLossDb(length(pos - src), lambdaM) + wall;
+  }
+
+  // Specular point on facade i for the path src → pos, via the image source.
+  // False when either end is behind the facade or the point misses its rectangle
+  bool facadeReflection(int i, vec3 pos, vec3 src, out vec3 image, out vec3 hit) {
+    vec4 plane = uFacadePlane[i];
+    float hs = dot(plane.xyz, src) - plane.w;
+    float hp = dot(plane.xyz, pos) - plane.w;
+    if (hs <= 0.0 || hp <= 0.0) return false;
+
+    image = src - 2.0 * hs * plane.xyz;
+    hit = pos + (image - pos) * (hp / (hp + hs));
+
+    vec3 rel = hit - uFacadeCenter[i].xyz;
+    vec3 axis = uFacadeAxis[i].xyz;
+    return abs(dot(rel, axis)) <= uFacadeCenter[i].w &&
+           abs(dot(rel, cross(plane.xyz, axis))) <= uFacadeAxis[i].w;
+  }
+
+  // First-order reflections of source s seen from src at time t: adds the signed
+  // field to amp, the squared envelope to env2 and the received power (mW) to mw
+  void addReflections(vec3 pos, Source s, vec3 src, float t,
+                      inout float amp, inout float env2, inout float mw) {
+    if (uReflections < 0.5) return;
+
+    for (int i = 0; i < MAX_FACADES; i++) {
+      if (i >= uFacadeCount) break;
+
+      vec3 image, hit;
+      if (!facadeReflection(i, pos, src, image, hit)) continue;
+
+      // Both legs, starting a voxel off the wall so it doesn't shadow itself
+      vec3 off = hit + uFacadePlane[i].xyz * uOccVoxel;
+      float T = transmissionSteps(pos, off, REFL_OCC_STEPS) * transmissionSteps(off, src, REFL_OCC_STEPS);
+      float af = max(arrayFactor(hit, src, s.toLocal, s.arr, s.steer), 1e-6);
+      float gDb = antennaGainDb(hit, src, s.antType, s.toLocal, s.slot) + 20.0 * log(af) * INV_LN10;
+      float r = length(pos - image) + 1e-6;
+
+      float e = uReflectionCoeff * T * pow(10.0, gDb / 20.0) / (1.0 + 0.05 * r);
+      float tau = t - r * s.k / s.omega;
+      amp += waveAt(s.wave, s.omega, tau) * e;
+      env2 += e * e * waveGate(s.wave, tau) * waveGate(s.wave, tau);
+      mw += pow(10.0, (s.eirp + gDb - pathLossDb(r, s.lambdaM)) / 10.0) *
+            (uReflectionCoeff * T) * (uReflectionCoeff * T);
+    }
+  }
+
+  // Nearest solver cell for a world position
+  float solverAmplitude(vec3 pos) {
+    vec3 n = clamp((pos - uFieldMin) / uFieldSize, 0.0, 1.0);
+    return texture(uSolverState, n).r * uSolverGain;
+  }
+
+  // Crests too fine for the points (or for the caller's own sampling, see
+  // uMinLambda) to resolve
+  bool sourceUnresolved(Source s) {
+    return s.unresolved > 0.5 || TWO_PI / s.k < uMinLambda;
+  }
+
+  // What sourceField() evaluates
+  const int FIELD_LIVE = 0;     // signed field in x
+  const int FIELD_ENVELOPE = 1; // squared RMS envelope in y
+  const int FIELD_POWER = 2;    // received power (mW) in z
+  const int FIELD_DRAWN = 3;    // FIELD_LIVE, but unresolved sources as FIELD_ENVELOPE
+
+  // Field of source s at pos for time t: signed field, squared envelope and
+  // received power (mW) in x / y / z, filled in as the mode asks
+  vec3 sourceField(vec3 pos, Source s, float t, int mode) {
+    float amp = 0.0, env2 = 0.0, mw = 0.0;
+    bool envelope = mode == FIELD_ENVELOPE || (mode == FIELD_DRAWN && sourceUnresolved(s));
+
+    // Element pattern, with the far-field array gain on top
+    float gDb = antennaGainDb(pos, s.pos, s.antType, s.toLocal, s.slot);
+    float af = max(arrayFactor(pos, s.pos, s.toLocal, s.arr, s.steer), 1e-6);
+
+    if (mode == FIELD_POWER) {
+      float dbm = rxPowerFromSource(pos, s.pos, s.eirp + gDb + 20.0 * log(af) * INV_LN10, s.lambdaM);
+      mw += pow(10.0, dbm / 10.0);
+      addReflections(pos, s, s.pos, t, amp, env2, mw);
+      return vec3(amp, env2, mw);
+    }
+
+    // Retarded source position for the live analytic field (Doppler)
+    vec3 src = retardedSource(pos, s.slot, s.pos, s.omega / s.k, t);
+    float g = pow(10.0, gDb / 20.0);
+    float reflAmp = 0.0, reflEnv2 = 0.0;
+    addReflections(pos, s, src, t, reflAmp, reflEnv2, mw);
+    if (envelope) {
+      float E = envFromSource(pos, src, TWO_PI / s.k) * g * af *
+        waveGate(s.wave, t - length(pos - src) * s.k / s.omega);
+      env2 += E * E + reflEnv2;
+    } else {
+      amp += sourceAmp(pos, src, s.k, s.omega, s.wave, s.toLocal, s.arr, s.steer, t) * g + reflAmp;
+    }
+    return vec3(amp, env2, mw);
+  }
+
+  // Amplitude to draw from a FIELD_DRAWN sample: the resolved sources' signed
+  // field, with the unresolved ones' mean square added in quadrature (their
+  // crests would alias between grid points, their power doesn't)
+  float drawnAmplitude(vec3 f) {
+    return (f.x < 0.0 ? -1.0 : 1.0) * sqrt(f.x * f.x + 0.5 * f.y);
+  }
+
+  // Every enabled source. Sources at different frequencies don't interfere
+  // on average, so the power view adds their powers
+  vec3 analyticField(vec3 pos, float t, int mode) {
+    vec3 f = vec3(0.0);
+    for (int i = 0; i < MAX_SOURCES; i++) {
+      if (i >= uSourceCount) break;
+      f += sourceField(pos, loadSource(i), t, mode);
+    }
+    return f;
+  }
+
+  // Period-averaged intensity <E²> of the summed field at time t. A CW field
+  // -A sin(ωt - φ) reads -A sin ψ now and -A cos ψ a quarter period later, so
+  // those two samples are its phasor. Sources on the same frequency add as
+  // phasors (their pattern stands still), the others add intensities, as do
+  // the unresolved sources, whose fringes would alias.
+  float meanIntensity(vec3 pos, float t) {
+    vec2 phasor[MAX_SOURCES];
+    float omega[MAX_SOURCES];
+    float I = 0.0;
+    for (int i = 0; i < MAX_SOURCES; i++) {
+      if (i >= uSourceCount) break;
+      Source s = loadSource(i);
+      omega[i] = s.omega;
+      vec3 f = sourceField(pos, s, t, FIELD_DRAWN);
+      if (sourceUnresolved(s)) {
+        phasor[i] = vec2(0.0);
+        I += 0.5 * f.y;
+      } else {
+        phasor[i] = vec2(f.x, sourceField(pos, s, t + HALF_PI / s.omega, FIELD_LIVE).x);
+      }
+    }
+
+    for (int i = 0; i < MAX_SOURCES; i++) {
+      if (i >= uSourceCount) break;
+
+      // each frequency once, at its first source
+      vec2 sum = vec2(0.0);
+      bool counted = false;
+      for (int j = 0; j < MAX_SOURCES; j++) {
+        if (j >= uSourceCount) break;
+        if (omega[j] != omega[i]) continue;
+        if (j < i) {
+          counted = true;
+          break;
+        }
+        sum += phasor[j];
+      }
+      if (!counted) I += 0.5 * dot(sum, sum);
+    }
+    return I;
+  }
+`;
+
+const vertexShader = `
+  ${fieldShaderChunk}
+
+  uniform float uPointSize;
+  uniform sampler3D uIntensityMean;    // running mean of E² over the field volume
+  uniform float uIntensityAccumulated; // 1.0 = color by uIntensityMean, else meanIntensity()
+
+  const float INTENSITY_RANGE_DB = ${INTENSITY_RANGE_DB}.0;
+
+  varying float vAmplitude;
+  varying float vPower;         // 0..1 across uPowerRange
+  varying float vIntensity;     // 0..1 across INTENSITY_RANGE_DB below unit amplitude
+
+  void main() {
+    vec3 p = position;
+    bool power = uDisplayMode > 0.5 && uDisplayMode < 1.5;
+    int mode = power ? FIELD_POWER : FIELD_DRAWN;
+
+    // Signed field, squared envelope and received power (mW)
+    vec3 f = (uSimMode < 0.5 || power) ? analyticField(p, uTime, mode) : vec3(0.0);
+    float mw = f.z;
+
+    // Link budget view: static colors, no wave displacement
+    if (power) {
+      float dbm = 10.0 * log(max(mw, 1e-30)) * INV_LN10;
+      vAmplitude = 0.0;
+      vIntensity = 0.0;
+      vPower = (dbm - uPowerRange.x) / (uPowerRange.y - uPowerRange.x);
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+      gl_PointSize = uPointSize;
+      return;
+    }
+    vPower = 0.0;
+
+    float A;
+    if (uSimMode > 0.5) {
+      A = solverAmplitude(p);
+    } else {
+      // Crests finer than the grid would alias, so sources with such short
+      // wavelengths add their time-averaged envelope instead of their phase
+      A = drawnAmplitude(f);
+    }
+
+    vAmplitude = A;
+
+    // Mean intensity view: color from the period average, motion stays live
+    vIntensity = 0.0;
+    if (uDisplayMode > 1.5) {
+      float I = uIntensityAccumulated > 0.5
+        ? texture(uIntensityMean, (p - uFieldMin) / uFieldSize).r
+        : meanIntensity(p, uTime);
+      // 2<E²> is the squared peak amplitude of a single CW source
+      float db = 10.0 * log(max(2.0 * I, 1e-30)) * INV_LN10;
+      vIntensity = clamp(1.0 + db / INTENSITY_RANGE_DB, 0.0, 1.0);
+    }
+
+    float amplitudeScale = 0.4;
+    p.y += A * amplitudeScale;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+    gl_PointSize = uPointSize;
+  }
+`;
+
+// blue → red → yellow, matching the #powerLegend gradient
+const powerRampChunk = `
+  vec3 powerRamp(float t) {
+    return vec3(clamp(2.0 * t, 0.0, 1.0), clamp(2.0 * t - 1.0, 0.0, 1.0), clamp(1.0 - 2.0 * t, 0.0, 1.0));
+  }
+`;
+
+// Color of a field metric at p (after fieldShaderChunk and powerRampChunk):
+// uMetric 0 = live amplitude in the points' red / blue, 1 = mean intensity
+// across INTENSITY_RANGE_DB, 2 = received power across the dBm legend.
+// With useSolver, the live amplitude comes from the FDTD grid in FDTD mode.
+const fieldColorChunk = `
+  uniform float uMetric;
+
+  const float INTENSITY_RANGE_DB = ${INTENSITY_RANGE_DB}.0;
+
+  vec3 fieldColor(vec3 p, bool useSolver) {
+    if (uMetric < 0.5) {
+      float A;
+      if (useSolver && uSimMode > 0.5) {
+        A = solverAmplitude(p);
+      } else {
+        A = drawnAmplitude(analyticField(p, uTime, FIELD_DRAWN));
+      }
+      float a = clamp(A * 1.5, -1.0, 1.0);
+      return vec3(max(a, 0.0), 0.0, max(-a, 0.0));
+    }
+    if (uMetric < 1.5) {
+      // 2<E²> is the squared peak amplitude of a single CW source
+      float db = 10.0 * log(max(2.0 * meanIntensity(p, uTime), 1e-30)) * INV_LN10;
+      return powerRamp(clamp(1.0 + db / INTENSITY_RANGE_DB, 0.0, 1.0));
+    }
+    float dbm = 10.0 * log(max(analyticField(p, uTime, FIELD_POWER).z, 1e-30)) * INV_LN10;
+    return powerRamp(clamp((dbm - uPowerRange.x) / (uPowerRange.y - uPowerRange.x), 0.0, 1.0));
+  }
+`;
+
+const fragmentShader = `
+  precision highp float;
+  uniform float uDisplayMode;
+  varying float vAmplitude;
+  varying float vPower;
+  varying float vIntensity;
+
+  ${powerRampChunk}
+
+  void main() {
+    if (uDisplayMode > 1.5) {
+      gl_FragColor = vec4(powerRamp(vIntensity), 0.25 + 0.75 * vIntensity);
+      return;
+    }
+    if (uDisplayMode > 0.5) {
+      if (vPower < 0.0) discard; // below the legend range
+      float t = min(vPower, 1.0);
+      gl_FragColor = vec4(powerRamp(t), 0.25 + 0.75 * t);
+      return;
+    }
+
+    float a = clamp(vAmplitude * 1.5, -1.0, 1.0);
+    float r = max(0.0,  a);
+    float b = max(0.0, -a);
+    float alpha = abs(a);  
+    gl_FragColor = vec4(r, 0.0, b, alpha);
+  }
+`;
+
+// One set of uniforms for every material built on fieldShaderChunk, created
+// on first use (the textures it points at are set up further down) and
+// refreshed once per frame in animate()
+let fieldUniforms = null;
+
+function getFieldUniforms() {
+  if (!fieldUniforms) {
+    fieldUniforms = {
+      uTime: { value: 0 },
+      uPointSize: { value: 2.0 },
+      uIntensityMean: { value: null },
+      uIntensityAccumulated: { value: 0.0 },
+      uSources: { value: sourceTexture },
+      uSourceCount: { value: 0 },
+      uOccupancy: { value: occlusionTexture },
+      uOccMin: { value: occlusionMin },
+      uOccSize: { value: occlusionSize },
+      uOccVoxel: { value: occlusionVoxel },
+      uOcclusion: { value: 0.0 },
+      uWallLoss: { value: 0.0 },
+      uDiffraction: { value: 0.0 },
+      uHeightMap: { value: heightMapTexture },
+      uSimMode: { value: 0.0 },
+      uSolverState: { value: null }, // rtCurr changes every step, set in animate()
+      uMinLambda: { value: 0 },
+      uFieldMin: { value: new THREE.Vector3() },
+      uFieldSize: { value: fieldSize },
+      uSolverGain: { value: 4.0 },
+      uDisplayMode: { value: 0.0 },
+      uMetersPerUnit: { value: 1.0 },
+      uPowerRange: { value: new THREE.Vector2(-110, -30) },
+      uAntennaPatterns: { value: antennaPatternTexture },
+      uDoppler: { value: 0.0 },
+      uSourceHistory: { value: sourceHistoryTexture },
+      uHistoryHead: { value: 0 },
+      uHistoryCount: { value: 0 },
+      uHistoryTime: { value: 0 },
+      uReflections: { value: 0.0 },
+      uReflectionCoeff: { value: reflectionCoeff },
+      uFacadeCount: { value: 0 },
+      uFacadePlane: { value: facadePlanes },
+      uFacadeCenter: { value: facadeCenters },
+      uFacadeAxis: { value: facadeAxes }
+    };
+  }
+  return fieldUniforms;
+}
+
+function buildPointCloud() {
+  if (points) {
+    scene.remove(points);
+    points.geometry.dispose();
+    points.material.dispose();
+    points = null;
+  }
+
+  const ppu = mapDensityToPPU(densitySliderVal);
+
+  resX = Math.max(2, Math.round(fieldSize.x * ppu));
+  resY = Math.max(2, Math.round(fieldSize.y * ppu));
+  resZ = Math.max(2, Math.round(fieldSize.z * ppu));
+
+  totalPoints = resX * resY * resZ;
+
+  const positions = new Float32Array(totalPoints * 3);
+
+  let i = 0;
+  for (let ix = 0; ix < resX; ix++) {
+    const x = fieldCenter.x + (ix / (resX - 1) - 0.5) * fieldSize.x;
+    for (let iy = 0; iy < resY; iy++) {
+      const y = fieldCenter.y + (iy / (resY - 1) - 0.5) * fieldSize.y;
+      for (let iz = 0; iz < resZ; iz++) {
+        const z = fieldCenter.z + (iz / (resZ - 1) - 0.5) * fieldSize.z;
+
+        const idx = i * 3;
+        positions[idx] = x;
+        positions[idx + 1] = y;
+        positions[idx + 2] = z;
+        i++;
+      }
+    }
+  }
+
+  geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+  material = new THREE.ShaderMaterial({
+    uniforms: getFieldUniforms(),
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  points = new THREE.Points(geometry, material);
+  points.visible = !hidePoints;
+  scene.add(points);
+  isoDirty = true;
+  volumeDirty = true;
+  resetIntensityAverage();
+}
+
+// Largest distance between neighbouring points of the field grid
+function getPointSpacing() {
+  return Math.max(
+    fieldSize.x / Math.max(1, resX - 1),
+    fieldSize.y / Math.max(1, resY - 1),
+    fieldSize.z / Math.max(1, resZ - 1)
+  );
+}
+
+// Below two points per wavelength the physical phase aliases into noise
+// (the visual lambda is kept as-is, it only ever spans a few points)
+function isLambdaUnresolved(f) {
+  return lambdaMode === "physical" && getLambdaFromFrequency(f) < 2 * getPointSpacing();
+}
+
+function fieldShowsEnvelope() {
+  return sources.some((src) => src.enabled && isLambdaUnresolved(src.freq));
+}
+
+// -------------------------------
+// Sources
+// -------------------------------
+// Every emitter is an entry of `sources`, added / removed from its generated
+// panel (see addSource). Each keeps a fixed slot, its row in the emission
+// history and its row pair of imported antenna patterns, so removing one
+// source leaves the others' history and patterns in place.
+const sources = [];
+let sourcesCreated = 0; // names keep counting up after removals
+
+// Enabled sources, one row each, for the field shader (see writeSourceTexture)
+const sourceTextureData = new Float32Array(SOURCE_TEXELS * MAX_SOURCES * 4);
+const sourceTexture = new THREE.DataTexture(
+  sourceTextureData, SOURCE_TEXELS, MAX_SOURCES, THREE.RGBAFormat, THREE.FloatType
+);
+sourceTexture.needsUpdate = true;
+
+// Random starting velocities for the auto-move (you can tweak these)
+const cRadius = 1.5;
+
+function randIntRange(random, min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+// Each source draws from its own stream, so adding or removing one doesn't
+// change how the others wander
+function sourceSeed(slot) {
+  return (Math.imul(simSeed, 0x9E3779B1) ^ Math.imul(slot + 1, 0x85EBCA6B)) >>> 0;
+}
+
+// Source A … Z, then numbered
+function sourceName(i) {
+  return "Source " + (i < 26 ? String.fromCharCode(65 + i) : i + 1);
+}
+
+function freeSourceSlot() {
+  for (let slot = 0; slot < MAX_SOURCES; slot++) {
+    if (sources.every((src) => src.slot !== slot)) return slot;
+  }
+  return -1;
+}
+
+// New source from optional settings (see sourceSettings), or null when all
+// MAX_SOURCES slots are taken. The position is set from its panel sliders.
+function createSource(settings = {}) {
+  const slot = freeSourceSlot();
+  if (slot < 0) return null;
+
+  const mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(0.3, 24, 16),
+    new THREE.MeshBasicMaterial({ color: 0xffff00 })
+  );
+  scene.add(mesh);
+
+  const antenna = createAntenna(slot);
+  clearAntennaPattern(antenna);
+  if (settings.antenna) copyAntenna(antenna, settings.antenna);
+
+  const freqSliderVal = settings.freqSliderVal ?? 50;
+  const src = {
+    name: sourceName(sourcesCreated++),
+    slot,
+    enabled: true,
+    freqSliderVal,
+    freq: mapSliderToFrequency(freqSliderVal),
+    txDbm: settings.txDbm ?? 30,    // link budget
+    gainDbi: settings.gainDbi ?? 0,
+    pos: new THREE.Vector3(),
+    home: new THREE.Vector3(),      // where the user put it, the position at t = 0
+    motion: settings.motion ?? "wander", // "off" | "wander" | "path"
+    path: createPath(),
+    velocity: new THREE.Vector3(),  // wander, see resetSourceMotion
+    random: null,
+    antenna,
+    wave: { ...createWaveform(), ...settings.wave },
+    mesh,
+    lobe: createAntennaLobe(mesh),
+    ui: null                        // panel and its controls, see buildSourcePanel
+  };
+  if (settings.path) copyPath(src.path, settings.path);
+  sources.push(src);
+  return src;
+}
+
+function removeSource(src) {
+  const i = sources.indexOf(src);
+  if (i < 0) return;
+  sources.splice(i, 1);
+
+  scene.remove(src.mesh);
+  src.mesh.geometry.dispose();
+  src.mesh.material.dispose();
+  src.lobe.geometry.dispose();
+  src.lobe.material.dispose();
+  disposePath(src.path);
+  clearSnapshots();
+}
+
+function updateSourceFromSliders(src) {
+  const sx = Number(src.ui.x.value);
+  const sy = Number(src.ui.y.value);
+  const sz = Number(src.ui.z.value);
+
+  src.pos.set(
+    mapSliderToBounds(sx, boundsMin.x, boundsMax.x),
+    mapSliderToBounds(sy, boundsMin.y, boundsMax.y),
+    mapSliderToBounds(sz, boundsMin.z, boundsMax.z)
+  );
+  src.home.copy(src.pos);
+  src.mesh.position.copy(src.pos);
+}
+
+// Back to the start of its motion with a freshly seeded wander velocity
+function resetSourceMotion(src) {
+  src.random = createRandom(sourceSeed(src.slot));
+  src.velocity.set(randIntRange(src.random, -cRadius, cRadius), 0.4, randIntRange(src.random, -cRadius, cRadius));
+  src.path.travelled = 0;
+
+  if (src.motion === "path" && src.path.points.length) pathPosition(src.path, src.pos);
+  else src.pos.copy(src.home);
+  src.mesh.position.copy(src.pos);
+  syncSourceSliders(src);
+}
+
+// Slider values for a position set in the scene (auto-move, placement, gizmo)
+function syncSourceSliders(src) {
+  src.ui.x.value = mapWorldToSlider(src.pos.x, boundsMin.x, boundsMax.x).toFixed(0);
+  src.ui.y.value = mapWorldToSlider(src.pos.y, boundsMin.y, boundsMax.y).toFixed(0);
+  src.ui.z.value = mapWorldToSlider(src.pos.z, boundsMin.z, boundsMax.z).toFixed(0);
+}
+
+function setSourceMotion(src, motion) {
+  src.motion = motion;
+  src.ui.motionSelect.value = motion;
+}
+
+// Pack the enabled sources into sourceTexture, SOURCE_TEXELS texels per row.
+// Keep in sync with loadSource() in the vertex shader. Returns the row count.
+function writeSourceTexture() {
+  let row = 0;
+  for (const src of sources) {
+    if (!src.enabled) continue;
+
+    const [nz, ny] = arrayShape(src.antenna);
+    const m = src.antenna.toLocal.elements; // column-major
+    sourceTextureData.set([
+      src.pos.x, src.pos.y, src.pos.z, src.slot,
+      // the link budget always uses the real frequency, whatever lambda mode is drawn
+      (2 * Math.PI) / getLambdaFromFrequency(src.freq), getDisplayOmegaFromFrequency(src.freq),
+      src.txDbm + src.gainDbi, C_LIGHT / src.freq,
+      ANTENNA_TYPES.indexOf(src.antenna.type), nz, ny, src.antenna.spacing,
+      src.antenna.steerAz * Math.PI / 180, src.antenna.steerEl * Math.PI / 180,
+      // drawn as its envelope where the points can't resolve its crests
+      isLambdaUnresolved(src.freq) ? 1 : 0, 0,
+      WAVEFORM_TYPES.indexOf(src.wave.type), src.wave.rate, src.wave.depth, 0,
+      m[0], m[1], m[2], 0,
+      m[3], m[4], m[5], 0,
+      m[6], m[7], m[8], 0
+    ], row * SOURCE_TEXELS * 4);
+    row++;
+  }
+  sourceTexture.needsUpdate = true;
+  return row;
+}
+
+// -------------------------------
+// Motion paths
+// -------------------------------
+// A source set to "path" motion travels along its waypoints at a constant
+// speed, either straight between them ("polyline") or on a centripetal
+// Catmull-Rom spline through them ("spline"). "loop" closes the path back to
+// the first waypoint, "pingpong" runs it to the end and back. Waypoints are
+// clicked onto the model like sources (see placeMode "waypoint").
+const PATH_SAMPLES = 200; // points drawn along a spline
+
+function createPath() {
+  const line = new THREE.Line(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: 0xffff00, transparent: true, opacity: 0.6 })
+  );
+  const markers = new THREE.Points(
+    new THREE.BufferGeometry(),
+    new THREE.PointsMaterial({ color: 0xffff00, size: 6, sizeAttenuation: false })
+  );
+  line.visible = false;
+  markers.visible = false;
+  scene.add(line);
+  scene.add(markers);
+
+  return {
+    points: [],           // waypoints, world space
+    shape: "polyline",    // "polyline" | "spline"
+    repeat: "loop",       // "loop" | "pingpong"
+    speed: 10,            // world units per second
+    travelled: 0,         // distance covered since the path was (re)started
+    curve: null,          // THREE.Curve through the points, null below 2 points
+    line,
+    markers
+  };
+}
+
+function copyPath(path, from) {
+  path.points = from.points.map((p) => p.clone());
+  path.shape = from.shape;
+  path.repeat = from.repeat;
+  path.speed = from.speed;
+  updatePathCurve(path);
+}
+
+function disposePath(path) {
+  for (const obj of [path.line, path.markers]) {
+    scene.remove(obj);
+    obj.geometry.dispose();
+    obj.material.dispose();
+  }
+}
+
+// Rebuild the curve and its line after the waypoints, shape or repeat changed
+function updatePathCurve(path) {
+  const pts = path.points;
+  path.curve = null;
+
+  if (pts.length >= 2) {
+    const closed = path.repeat === "loop";
+    if (path.shape === "spline") {
+      path.curve = new THREE.CatmullRomCurve3(pts, closed, "centripetal");
+    } else {
+      path.curve = new THREE.CurvePath();
+      const ring = closed ? [...pts, pts[0]] : pts;
+      for (let i = 1; i < ring.length; i++) {
+        path.curve.add(new THREE.LineCurve3(ring[i - 1], ring[i]));
+      }
+    }
+  }
+
+  path.line.geometry.dispose();
+  path.line.geometry = new THREE.BufferGeometry().setFromPoints(path.curve ? path.curve.getPoints(PATH_SAMPLES) : []);
+  path.line.visible = !!path.curve;
+
+  path.markers.geometry.dispose();
+  path.markers.geometry = new THREE.BufferGeometry().setFromPoints(pts);
+  path.markers.visible = pts.length > 0;
+}
+
+// Position after path.travelled units along the path
+function pathPosition(path, out) {
+  if (!path.curve) return path.points.length ? out.copy(path.points[0]) : out;
+
+  const length = path.curve.getLength();
+  if (length <= 0) return out.copy(path.points[0]);
+
+  let s = path.travelled % (path.repeat === "loop" ? length : 2 * length);
+  if (s > length) s = 2 * length - s; // on the way back
+  return out.copy(path.curve.getPointAt(s / length));
+}
+
+function advancePath(src, dt) {
+  src.path.travelled += src.path.speed * dt;
+  pathPosition(src.path, src.pos);
+}
+
+// A changed curve puts `travelled` somewhere else on it, so a source
+// following the path starts over rather than jumping there
+function onPathEdit(src) {
+  updatePathCurve(src.path);
+  if (src.motion === "path") restartPath(src);
+  clearSnapshots();
+}
+
+// Send src back to the start of its path; the jump there isn't motion
+function restartPath(src) {
+  if (!src.path.points.length) return;
+  src.path.travelled = 0;
+  pathPosition(src.path, src.pos);
+  src.mesh.position.copy(src.pos);
+  syncSourceSliders(src);
+  fillSourceHistory(src.slot, src.pos);
+}
+
+// -------------------------------
+// Antennas
+// -------------------------------
+// Each source has a radiation pattern in its own frame: boresight along local
+// +X, local +Y up. Azimuth turns the boresight about world Y (from +X towards
+// -Z), tilt pitches it down, roll spins the pattern about the boresight.
+// Patterns are relative to the peak (≤ 0 dB); the Gain slider sets the peak.
+const ANTENNA_TYPES = ["isotropic", "dipole", "sector", "patch", "file"];
+const ANTENNA_FLOOR_DB = -40;
+const ANTENNA_LOBE_SIZE = 12; // world units at 0 dB
+
+// Imported patterns, resampled to 1°: row 2i = horizontal, 2i + 1 = vertical
+// attenuation (dB) of the source in slot i
+const antennaPatternData = new Float32Array(360 * 2 * MAX_SOURCES);
+const antennaPatternTexture = new THREE.DataTexture(
+  antennaPatternData, 360, 2 * MAX_SOURCES, THREE.RedFormat, THREE.FloatType
+);
+antennaPatternTexture.needsUpdate = true; // nearest filtering, see importedPatternDb()
+
+function createAntenna(slot) {
+  return {
+    slot,                 // row pair in antennaPatternTexture
+    type: "isotropic",
+    azimuth: 0,           // degrees
+    tilt: 0,              // degrees, positive = down
+    roll: 0,              // degrees
+    patternName: null,    // imported file, if any
+    // Phased array of identical elements in the antenna's local YZ plane
+    layout: "single",     // "single" | "linear" (along local Z) | "planar" (Z × Y)
+    elements: 4,          // per axis
+    spacing: 0.5,         // wavelengths
+    steerAz: 0,           // degrees, in the antenna frame
+    steerEl: 0,           // degrees
+    toLocal: new THREE.Matrix3(),
+    quaternion: new THREE.Quaternion()
+  };
+}
+
+const _antennaEuler = new THREE.Euler();
+
+function updateAntennaFrame(antenna) {
+  const deg = Math.PI / 180;
+  _antennaEuler.set(antenna.roll * deg, antenna.azimuth * deg, -antenna.tilt * deg, "YZX");
+  antenna.quaternion.setFromEuler(_antennaEuler);
+  antenna.toLocal.setFromMatrix4(new THREE.Matrix4().makeRotationFromQuaternion(antenna.quaternion)).transpose();
+}
+
+// Relative gain (dB) towards a unit direction in the antenna frame.
+// Keep in sync with antennaGainDb() in the vertex shader.
+// Attenuation (dB) of an imported pattern row at deg, linear between the
+// whole degrees, as in the shader's importedPatternDb()
+function importedPatternDb(row, deg) {
+  const x = ((deg % 360) + 360) % 360;
+  const i0 = Math.floor(x);
+  const a = antennaPatternData[row * 360 + i0];
+  const b = antennaPatternData[row * 360 + (i0 + 1) % 360];
+  return a + (b - a) * (x - i0);
+}
+
+function antennaPatternDb(antenna, d) {
+  const deg = 180 / Math.PI;
+  switch (antenna.type) {
+    case "dipole": {
+      // half-wave dipole along local Y
+      const s = Math.sqrt(Math.max(1 - d.y * d.y, 1e-6));
+      const f = Math.cos(Math.PI / 2 * d.y) / s;
+      return Math.max(20 * Math.log10(Math.max(f, 1e-6)), ANTENNA_FLOOR_DB);
+    }
+    case "sector": {
+      // 3GPP macro-cell sector: 65° horizontal, 10° vertical beamwidth
+      const phi = Math.atan2(d.z, d.x) * deg;
+      const el = Math.asin(Math.max(-1, Math.min(1, d.y))) * deg;
+      const aH = Math.min(12 * (phi / 65) ** 2, 30);
+      const aV = Math.min(12 * (el / 10) ** 2, 30);
+      return -Math.min(aH + aV, 30);
+    }
+    case "patch": {
+      // cosine lobe over the front hemisphere, 25 dB front-to-back
+      return d.x > 0 ? Math.max(20 * Math.log10(Math.max(d.x, 1e-6)), -25) : -25;
+    }
+    case "file": {
+      const phi = Math.atan2(d.z, d.x) * deg;
+      const el = Math.asin(Math.max(-1, Math.min(1, d.y))) * deg;
+      const row = antenna.slot * 2;
+      const h = importedPatternDb(row, phi);
+      const v = importedPatternDb(row + 1, -el);
+      return Math.max(-(h + v), ANTENNA_FLOOR_DB);
+    }
+    default:
+      return 0;
+  }
+}
+
+// Element counts along local Z and Y
+function arrayShape(antenna) {
+  if (antenna.layout === "linear") return [antenna.elements, 1];
+  if (antenna.layout === "planar") return [antenna.elements, antenna.elements];
+  return [1, 1];
+}
+
+function steerDirection(antenna) {
+  const az = antenna.steerAz * Math.PI / 180;
+  const el = antenna.steerEl * Math.PI / 180;
+  return new THREE.Vector3(Math.cos(el) * Math.cos(az), Math.sin(el), -Math.cos(el) * Math.sin(az));
+}
+
+// Far-field array factor (dB) towards a unit direction in the antenna frame,
+// relative to the beam peak. Keep in sync with arrayFactor() in the vertex shader.
+function arrayFactorDb(antenna, d) {
+  const [nz, ny] = arrayShape(antenna);
+  if (nz * ny < 2) return 0;
+
+  const u = steerDirection(antenna);
+  let re = 0, im = 0;
+  for (let i = 0; i < nz; i++) {
+    for (let j = 0; j < ny; j++) {
+      const psi = 2 * Math.PI * antenna.spacing *
+        ((i - (nz - 1) / 2) * (d.z - u.z) + (j - (ny - 1) / 2) * (d.y - u.y));
+      re += Math.cos(psi);
+      im += Math.sin(psi);
+    }
+  }
+  return Math.max(20 * Math.log10(Math.hypot(re, im) / (nz * ny) + 1e-9), ANTENNA_FLOOR_DB);
+}
+
+// Planet / MSI pattern file: "HORIZONTAL n" and "VERTICAL n" sections of
+// "angle attenuation_dB" lines (angles clockwise / downwards from boresight).
+// Returns { h, v } resampled to 360 one-degree steps, or null.
+function parseMsiPattern(text) {
+  const sections = {};
+  let current = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const header = line.match(/^(HORIZONTAL|VERTICAL)\b/i);
+    if (header) {
+      current = sections[header[1].toUpperCase()] = [];
+      continue;
+    }
+    const nums = line.split(/\s+/).map(Number);
+    if (current && nums.length >= 2 && nums.every(isFinite)) {
+      current.push([nums[0], nums[1]]);
+    } else if (!/^\d/.test(line)) {
+      current = null; // NAME, GAIN, FREQUENCY, ...
+    }
+  }
+
+  const resample = (pts) => {
+    if (!pts || pts.length < 2) return null;
+    pts.sort((a, b) => a[0] - b[0]);
+    const out = new Float32Array(360);
+    for (let a = 0; a < 360; a++) {
+      // linear interpolation with wrap-around
+      let hi = pts.findIndex((p) => p[0] >= a);
+      if (hi === -1) hi = pts.length;
+      const p0 = pts[(hi - 1 + pts.length) % pts.length];
+      const p1 = pts[hi % pts.length];
+      const a0 = hi === 0 ? p0[0] - 360 : p0[0];
+      const a1 = hi === pts.length ? p1[0] + 360 : p1[0];
+      const t = a1 > a0 ? (a - a0) / (a1 - a0) : 0;
+      out[a] = p0[1] + (p1[1] - p0[1]) * t;
+    }
+    return out;
+  };
+
+  const h = resample(sections.HORIZONTAL);
+  const v = resample(sections.VERTICAL);
+  return h && v ? { h, v } : null;
+}
+
+function setAntennaPattern(antenna, pattern, name) {
+  const row = antenna.slot * 2 * 360;
+  antennaPatternData.set(pattern.h, row);
+  antennaPatternData.set(pattern.v, row + 360);
+  antennaPatternTexture.needsUpdate = true;
+  antenna.patternName = name;
+}
+
+// A slot freed by a removed source may still hold its imported pattern
+function clearAntennaPattern(antenna) {
+  const row = antenna.slot * 2 * 360;
+  antennaPatternData.fill(0, row, row + 720);
+  antennaPatternTexture.needsUpdate = true;
+  antenna.patternName = null;
+}
+
+// Settings and imported pattern of `from`, for a duplicated source
+function copyAntenna(antenna, from) {
+  for (const key of ["type", "azimuth", "tilt", "roll", "patternName", "layout", "elements", "spacing", "steerAz", "steerEl"]) {
+    antenna[key] = from[key];
+  }
+  antennaPatternData.copyWithin(antenna.slot * 720, from.slot * 720, from.slot * 720 + 720);
+  antennaPatternTexture.needsUpdate = true;
+  updateAntennaFrame(antenna);
+}
+
+// Lobe gizmo: a sphere pushed out to the pattern, 0 dB at ANTENNA_LOBE_SIZE
+// and ANTENNA_FLOOR_DB at the centre
+function createAntennaLobe(sourceMesh) {
+  const lobe = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 48, 24),
+    new THREE.MeshBasicMaterial({ color: 0xffff00, wireframe: true, transparent: true, opacity: 0.35 })
+  );
+  lobe.userData.directions = lobe.geometry.attributes.position.array.slice();
+  lobe.visible = false;
+  sourceMesh.add(lobe);
+  return lobe;
+}
+
+function updateAntennaLobe(antenna, lobe) {
+  lobe.visible = antenna.type !== "isotropic" || antenna.layout !== "single";
+  lobe.quaternion.copy(antenna.quaternion);
+  if (!lobe.visible) return;
+
+  const pos = lobe.geometry.attributes.position;
+  const d = new THREE.Vector3();
+  for (let i = 0; i < pos.count; i++) {
+    d.fromArray(lobe.userData.directions, i * 3);
+    const db = Math.max(antennaPatternDb(antenna, d) + arrayFactorDb(antenna, d), ANTENNA_FLOOR_DB);
+    const r = (1 - db / ANTENNA_FLOOR_DB) * ANTENNA_LOBE_SIZE;
+    pos.setXYZ(i, d.x * r, d.y * r, d.z * r);
+  }
+  pos.needsUpdate = true;
+  lobe.geometry.computeBoundingSphere();
+}
+
+// -------------------------------
+// Waveforms
+// -------------------------------
+// What each source emits, in display seconds (the same slowed-down clock as
+// the carrier, see getDisplayOmegaFromFrequency). The field shader evaluates it
+// at the retarded time t - r / c, c being the drawn phase velocity omega / k.
+// rate: pulse repetition / sweep / modulation frequency (Hz)
+// depth: pulse duty cycle, chirp bandwidth (fraction of f), AM index, FM index / 5
+const WAVEFORM_TYPES = ["cw", "pulse", "chirp", "am", "fm"];
+
+function createWaveform() {
+  return { type: "cw", rate: 0.25, depth: 0.5 };
+}
+
+// Emitted signal at time tau for a carrier omega, -sin(phase) like waveAt()
+// so the FDTD drive is in phase with the analytic field. Keep in sync with
+// wavePhase() / waveGate() / waveAt() in the vertex shader.
+function waveformSignal(wave, omega, tau) {
+  const period = 1 / wave.rate;
+  let phase = omega * tau;
+  let gate = 1;
+
+  if (wave.type === "pulse") {
+    const x = tau / period - Math.floor(tau / period);
+    const duty = Math.max(wave.depth, 0.02);
+    gate = x < duty ? Math.sin(Math.PI * x / duty) : 0;
+  } else if (wave.type === "chirp") {
+    const tm = tau - period * Math.floor(tau / period);
+    phase = omega * (tm + wave.depth * tm * tm / (2 * period));
+  } else if (wave.type === "am") {
+    gate = (1 + wave.depth * Math.cos(2 * Math.PI * wave.rate * tau)) / (1 + wave.depth);
+  } else if (wave.type === "fm") {
+    phase += 5 * wave.depth * Math.sin(2 * Math.PI * wave.rate * tau);
+  }
+  return -Math.sin(phase) * gate;
+}
+
+// -------------------------------
+// Doppler (emission history)
+// -------------------------------
+// Source positions are recorded every SOURCE_HISTORY_DT into a ring buffer
+// (one texture row per source slot). The field shader looks up where each source
+// was at the retarded time, so moving sources compress the wavefronts ahead
+// of them and stretch them behind.
+let dopplerEnabled = true;
+
+const sourceHistoryData = new Float32Array(SOURCE_HISTORY * MAX_SOURCES * 4);
+const sourceHistoryTexture = new THREE.DataTexture(
+  sourceHistoryData, SOURCE_HISTORY, MAX_SOURCES, THREE.RGBAFormat, THREE.FloatType
+);
+sourceHistoryTexture.needsUpdate = true;
+
+let historyHead = -1;  // column of the newest sample
+let historyCount = 0;  // valid samples
+let historyTime = 0;   // time of the newest sample
+
+// Append samples until the newest one is less than SOURCE_HISTORY_DT old
+function recordSourceHistory(t) {
+  let wrote = false;
+  while (historyCount === 0 || t - historyTime >= SOURCE_HISTORY_DT) {
+    historyTime = historyCount === 0 ? t : historyTime + SOURCE_HISTORY_DT;
+    historyHead = (historyHead + 1) % SOURCE_HISTORY;
+    historyCount = Math.min(historyCount + 1, SOURCE_HISTORY);
+
+    for (const src of sources) {
+      const i = (src.slot * SOURCE_HISTORY + historyHead) * 4;
+      sourceHistoryData[i] = src.pos.x;
+      sourceHistoryData[i + 1] = src.pos.y;
+      sourceHistoryData[i + 2] = src.pos.z;
+    }
+    wrote = true;
+  }
+  if (wrote) sourceHistoryTexture.needsUpdate = true;
+}
+
+// A new source has stood still at pos for the whole history, rather than
+// inheriting the path of whichever source used its slot before
+function fillSourceHistory(row, pos) {
+  for (let col = 0; col < SOURCE_HISTORY; col++) {
+    pos.toArray(sourceHistoryData, (row * SOURCE_HISTORY + col) * 4);
+  }
+  sourceHistoryTexture.needsUpdate = true;
+}
+
+// Position of source `row` at time tau; mirrors sourceAt() in the vertex shader
+function sourcePositionAt(row, now, t, tau, out) {
+  const sample = (age, v) => {
+    const col = ((historyHead - age) % SOURCE_HISTORY + SOURCE_HISTORY) % SOURCE_HISTORY;
+    return v.fromArray(sourceHistoryData, (row * SOURCE_HISTORY + col) * 4);
+  };
+
+  if (tau >= historyTime) {
+    const f = t > historyTime ? Math.min((tau - historyTime) / (t - historyTime), 1) : 1;
+    return sample(0, out).lerp(now, f);
+  }
+  const age = Math.min((historyTime - tau) / SOURCE_HISTORY_DT, historyCount - 1);
+  const a0 = Math.floor(age);
+  const b = sample(Math.min(a0 + 1, historyCount - 1), new THREE.Vector3());
+  return sample(a0, out).lerp(b, age - a0);
+}
+
+// Emission time of the wave reaching pos at time t, travelling at speed c
+function retardedTime(row, now, pos, c, t) {
+  if (historyCount < 2) return t - pos.distanceTo(now) / c;
+
+  const s = new THREE.Vector3();
+  let lo = historyTime - (historyCount - 1) * SOURCE_HISTORY_DT;
+  sourcePositionAt(row, now, t, lo, s);
+  if (t - lo < pos.distanceTo(s) / c) return t - pos.distanceTo(s) / c; // beyond the history
+
+  let hi = t;
+  for (let i = 0; i < RETARDED_ITERATIONS; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (t - mid < pos.distanceTo(sourcePositionAt(row, now, t, mid, s)) / c) hi = mid;
+    else lo = mid;
+  }
+  return 0.5 * (lo + hi);
+}
+
+// Doppler at pos for one source: the drawn frequency ratio (dτ/dt at the
+// slowed-down display wave speed) and the real shift f·v/c of the radial speed
+function dopplerAt(row, now, pos, freq, t) {
+  const c = getDisplayOmegaFromFrequency(freq) / ((2 * Math.PI) / getLambdaFromFrequency(freq));
+  const h = 0.1;
+  const tau1 = retardedTime(row, now, pos, c, t);
+  const tau0 = retardedTime(row, now, pos, c, t - h);
+
+  const s1 = sourcePositionAt(row, now, t, tau1, new THREE.Vector3());
+  const s0 = sourcePositionAt(row, now, t, tau1 - h, new THREE.Vector3());
+  const towards = pos.clone().sub(s1).normalize();
+  const radialSpeed = s1.sub(s0).divideScalar(h).dot(towards) * metersPerUnit; // m/s, > 0 approaching
+
+  return {
+    ratio: (tau1 - tau0) / h,
+    realShift: freq * radialSpeed / C_LIGHT
+  };
+}
+
+// Probe where the Doppler shift is read out
+const probePos = new THREE.Vector3();
+const probeMesh = new THREE.Mesh(
+  new THREE.OctahedronGeometry(4),
+  new THREE.MeshBasicMaterial({ color: 0x00ff00, wireframe: true })
+);
+scene.add(probeMesh);
+
+// -------------------------------
+// Probe receivers
+// -------------------------------
+// Markers dropped in the scene (click mode "Add probe here", or "+ Add probe"
+// at the Doppler probe). A small pass evaluates the analytic field at each of
+// them into probeTarget: row 2j is probe j's amplitude over the last
+// PROBE_WINDOW seconds, row 2j + 1 holds one texel per enabled source with its
+// field now and a quarter period later (in-phase / quadrature) and its
+// received power (mW). sampleProbes() reads that back for the plots.
+const probes = [];
+let probesCreated = 0; // names keep counting up after removals
+
+const probeTarget = new THREE.WebGLRenderTarget(PROBE_SAMPLES, 2 * MAX_PROBES, {
+  type: THREE.FloatType,
+  minFilter: THREE.NearestFilter,
+  magFilter: THREE.NearestFilter,
+  depthBuffer: false
+});
+const probePixels = new Float32Array(PROBE_SAMPLES * 2 * MAX_PROBES * 4);
+
+const probeMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    ...getFieldUniforms(),
+    uProbePos: { value: Array.from({ length: MAX_PROBES }, () => new THREE.Vector3()) },
+    uProbeCount: { value: 0 },
+    uProbeDt: { value: PROBE_WINDOW / PROBE_SAMPLES }
+  },
+  vertexShader: /* glsl */`
+    void main() {
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    precision highp float;
+    ${fieldShaderChunk}
+
+    const int MAX_PROBES = ${MAX_PROBES};
+    const int PROBE_SAMPLES = ${PROBE_SAMPLES};
+
+    uniform vec3  uProbePos[MAX_PROBES];
+    uniform int   uProbeCount;
+    uniform float uProbeDt;
+
+    void main() {
+      int x = int(gl_FragCoord.x);
+      int row = int(gl_FragCoord.y);
+      int j = row / 2;
+      if (j >= uProbeCount) {
+        gl_FragColor = vec4(0.0);
+        return;
+      }
+      vec3 p = uProbePos[j];
+
+      // Time series, oldest sample first
+      if (row == 2 * j) {
+        float t = uTime - float(PROBE_SAMPLES - 1 - x) * uProbeDt;
+        gl_FragColor = vec4(analyticField(p, t, FIELD_LIVE).x, 0.0, 0.0, 1.0);
+        return;
+      }
+
+      if (x >= uSourceCount) {
+        gl_FragColor = vec4(0.0);
+        return;
+      }
+      Source s = loadSource(x);
+      float inPhase = sourceField(p, s, uTime, FIELD_LIVE).x;
+      float quadrature = sourceField(p, s, uTime + HALF_PI / s.omega, FIELD_LIVE).x;
+      gl_FragColor = vec4(inPhase, quadrature, sourceField(p, s, uTime, FIELD_POWER).z, 1.0);
+    }
+  `
+});
+
+const probeScene = new THREE.Scene();
+probeScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), probeMaterial));
+
+// New probe at pos, or null once MAX_PROBES are in use
+function createProbe(pos) {
+  if (probes.length >= MAX_PROBES) return null;
+
+  const mesh = new THREE.Mesh(
+    new THREE.OctahedronGeometry(3),
+    new THREE.MeshBasicMaterial({ color: 0x00ffff, wireframe: true })
+  );
+  mesh.position.copy(pos);
+  scene.add(mesh);
+
+  const probe = {
+    name: "Probe " + (++probesCreated),
+    pos: pos.clone(),
+    mesh,
+    series: new Float32Array(PROBE_SAMPLES),       // field over the window, oldest first
+    spectrum: new Float32Array(PROBE_SAMPLES / 2), // bin k = k / PROBE_WINDOW Hz
+    contributions: [],                             // { src, amp, phase, mw } per enabled source
+    ui: null
+  };
+  probes.push(probe);
+  return probe;
+}
+
+function removeProbe(probe) {
+  probes.splice(probes.indexOf(probe), 1);
+  scene.remove(probe.mesh);
+  probe.mesh.geometry.dispose();
+  probe.mesh.material.dispose();
+}
+
+// Hann-windowed magnitude spectrum of a real series whose length is a power
+// of two (radix-2 FFT), scaled so a sine of amplitude A peaks at about A
+function fftMagnitude(series, out) {
+  const n = series.length;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let i = 0; i < n; i++) re[i] = series[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+
+  // bit-reversed order (im is still all zero)
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) [re[i], re[j]] = [re[j], re[i]];
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len / 2;
+    for (let k = 0; k < half; k++) {
+      const wr = Math.cos(-2 * Math.PI * k / len);
+      const wi = Math.sin(-2 * Math.PI * k / len);
+      for (let i = k; i < n; i += len) {
+        const tr = re[i + half] * wr - im[i + half] * wi;
+        const ti = re[i + half] * wi + im[i + half] * wr;
+        re[i + half] = re[i] - tr;
+        im[i + half] = im[i] - ti;
+        re[i] += tr;
+        im[i] += ti;
+      }
+    }
+  }
+
+  for (let k = 0; k < out.length; k++) out[k] = 4 * Math.hypot(re[k], im[k]) / n;
+}
+
+// Evaluate the field at every probe on the GPU and read it back
+function sampleProbes() {
+  if (!probes.length) return;
+
+  const uniforms = probeMaterial.uniforms;
+  probes.forEach((probe, j) => uniforms.uProbePos.value[j].copy(probe.pos));
+  uniforms.uProbeCount.value = probes.length;
+
+  renderer.setRenderTarget(probeTarget);
+  renderer.render(probeScene, simCamera);
+  renderer.setRenderTarget(null);
+  renderer.readRenderTargetPixels(probeTarget, 0, 0, PROBE_SAMPLES, 2 * probes.length, probePixels);
+
+  const enabled = sources.filter((src) => src.enabled); // rows of sourceTexture
+  probes.forEach((probe, j) => {
+    const seriesRow = 2 * j * PROBE_SAMPLES * 4;
+    for (let x = 0; x < PROBE_SAMPLES; x++) probe.series[x] = probePixels[seriesRow + 4 * x];
+    fftMagnitude(probe.series, probe.spectrum);
+
+    // Phasor samples as in meanIntensity(): -A sin ψ and -A cos ψ for
+    // ψ = ωt - φ, so differences of ψ are the relative phases
+    const sourceRow = (2 * j + 1) * PROBE_SAMPLES * 4;
+    probe.contributions = enabled.map((src, i) => {
+      const inPhase = probePixels[sourceRow + 4 * i];
+      const quadrature = probePixels[sourceRow + 4 * i + 1];
+      return {
+        src,
+        amp: Math.hypot(inPhase, quadrature),
+        phase: Math.atan2(-inPhase, -quadrature),
+        mw: probePixels[sourceRow + 4 * i + 2]
+      };
+    });
+  });
+}
+
+// -------------------------------
+// Slicing planes
+// -------------------------------
+// Planes through the field volume, each a quad covering the volume's diagonal
+// whose fragments outside the volume are discarded. Every pixel evaluates the
+// field (fieldColor), so the heatmap is as fine as the screen, not the grid.
+// A slice sits at offset -100..100 along its normal, ±100 reaching the
+// volume's extent in that direction.
+const slices = [];
+let slicesCreated = 0; // names keep counting up after removals
+let hidePoints = false;
+
+const SLICE_NORMALS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+// New slice, or null once MAX_SLICES are in use
+function createSlice(settings = {}) {
+  if (slices.length >= MAX_SLICES) return null;
+
+  const slice = {
+    name: "Slice " + (++slicesCreated),
+    axis: settings.axis ?? "y", // "x" | "y" | "z" | "free"
+    offset: settings.offset ?? 0,
+    azimuth: settings.azimuth ?? 0,   // free normal, degrees
+    elevation: settings.elevation ?? 45,
+    metric: settings.metric ?? "amplitude",
+    opacity: settings.opacity ?? 0.9,
+    mesh: null,
+    ui: null
+  };
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      ...getFieldUniforms(),
+      uMetric: { value: FIELD_METRICS.indexOf(slice.metric) },
+      uOpacity: { value: slice.opacity }
+    },
+    vertexShader: `
+      varying vec3 vWorldPos;
+
+      void main() {
+        vec4 worldPos = modelMatrix * vec4(position, 1.0);
+        vWorldPos = worldPos.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPos;
+      }
+    `,
+    fragmentShader: `
+      ${fieldShaderChunk}
+      ${powerRampChunk}
+      ${fieldColorChunk}
+
+      varying vec3 vWorldPos;
+
+      uniform float uOpacity;
+
+      void main() {
+        vec3 q = (vWorldPos - uFieldMin) / uFieldSize;
+        if (any(lessThan(q, vec3(-1e-4))) || any(greaterThan(q, vec3(1.0 + 1e-4)))) discard;
+        gl_FragColor = vec4(fieldColor(vWorldPos, true), uOpacity);
+      }
+    `,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+
+  slice.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+  scene.add(slice.mesh);
+  slices.push(slice);
+  updateSliceTransform(slice);
+  return slice;
+}
+
+function removeSlice(slice) {
+  slices.splice(slices.indexOf(slice), 1);
+  scene.remove(slice.mesh);
+  slice.mesh.geometry.dispose();
+  slice.mesh.material.dispose();
+}
+
+function sliceNormal(slice, target) {
+  if (slice.axis !== "free") return target.copy(SLICE_NORMALS[slice.axis]);
+
+  const az = THREE.MathUtils.degToRad(slice.azimuth);
+  const el = THREE.MathUtils.degToRad(slice.elevation);
+  return target.set(Math.cos(el) * Math.cos(az), Math.sin(el), -Math.cos(el) * Math.sin(az));
+}
+
+// Follow the field volume and the slice settings
+function updateSliceTransform(slice) {
+  const normal = sliceNormal(slice, new THREE.Vector3());
+
+  // half the volume's extent along the normal
+  const reach = 0.5 * (Math.abs(normal.x) * fieldSize.x + Math.abs(normal.y) * fieldSize.y + Math.abs(normal.z) * fieldSize.z);
+  const size = fieldSize.length();
+
+  slice.mesh.position.copy(fieldCenter).addScaledVector(normal, slice.offset / 100 * reach);
+  slice.mesh.quaternion.setFromUnitVectors(SLICE_NORMALS.z, normal);
+  slice.mesh.scale.set(size, size, 1);
+}
+
+// -------------------------------
+// Isosurfaces
+// -------------------------------
+// Surfaces of constant field over the point cloud's grid. A pass evaluates the
+// field at every grid point (4 per texel, same order as buildPointCloud) and
+// the readback is contoured on the CPU by marching tetrahedra: each grid cell
+// is split into six tetrahedra along its main diagonal, which needs no case
+// tables and gives a watertight surface. Cells with all corners on one side
+// of the level are skipped, which is nearly all of them.
+let isoMode = "off";   // "off" | "amplitude" (live, ±lobe) | "rms" (time-averaged)
+let isoLobe = 0.3;     // level of the lobes: ±A live, RMS when averaged
+let isoNull = 0.05;    // RMS level of the nodal surfaces
+let isoOpacity = 0.35;
+let isoDirty = true;   // settings or grid changed since the last contour
+let isoFrame = 0;
+let isoTriangles = 0;
+let isoCapped = false;  // a surface hit ISO_MAX_TRIANGLES
+
+let isoValues = new Float32Array(0);
+const isoScratch = new Float32Array(ISO_MAX_TRIANGLES * 9);
+const isoTarget = new THREE.WebGLRenderTarget(ISO_TEXTURE_WIDTH, 1, {
+  type: THREE.FloatType,
+  minFilter: THREE.NearestFilter,
+  magFilter: THREE.NearestFilter,
+  depthBuffer: false
+});
+
+const isoMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    ...getFieldUniforms(),
+    uGridRes: { value: new THREE.Vector3(2, 2, 2) },
+    uIsoRms: { value: 0.0 }
+  },
+  vertexShader: /* glsl */`
+    void main() {
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    precision highp float;
+    ${fieldShaderChunk}
+
+    const int ISO_TEXTURE_WIDTH = ${ISO_TEXTURE_WIDTH};
+
+    uniform vec3  uGridRes;
+    uniform float uIsoRms; // 1.0 = RMS over a period, else the live field
+
+    float gridValue(int i) {
+      ivec3 res = ivec3(uGridRes);
+      ivec3 cell = ivec3(i / (res.y * res.z), (i / res.z) % res.y, i % res.z);
+      vec3 p = uFieldMin + vec3(cell) / (uGridRes - 1.0) * uFieldSize;
+
+      if (uIsoRms > 0.5) return sqrt(meanIntensity(p, uTime));
+      if (uSimMode > 0.5) return solverAmplitude(p);
+      return drawnAmplitude(analyticField(p, uTime, FIELD_DRAWN));
+    }
+
+    void main() {
+      int first = 4 * (int(gl_FragCoord.y) * ISO_TEXTURE_WIDTH + int(gl_FragCoord.x));
+      int count = int(uGridRes.x * uGridRes.y * uGridRes.z);
+
+      vec4 v = vec4(0.0);
+      for (int k = 0; k < 4; k++) {
+        if (first + k < count) v[k] = gridValue(first + k);
+      }
+      gl_FragColor = v;
+    }
+  `
+});
+
+const isoScene = new THREE.Scene();
+isoScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), isoMaterial));
+
+// Red: lobes (crests, or strong RMS); blue: troughs, or the nodal surfaces
+const isoMeshes = [0xff0000, 0x0000ff].map((color) => {
+  const mesh = new THREE.Mesh(
+    new THREE.BufferGeometry(),
+    new THREE.MeshLambertMaterial({
+      color,
+      transparent: true,
+      opacity: isoOpacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    })
+  );
+  mesh.visible = false;
+  scene.add(mesh);
+  return mesh;
+});
+
+// Field at every grid point into isoValues
+function sampleIsoField() {
+  const count = resX * resY * resZ;
+  const rows = Math.ceil(count / 4 / ISO_TEXTURE_WIDTH);
+  if (isoTarget.height !== rows) isoTarget.setSize(ISO_TEXTURE_WIDTH, rows);
+  if (isoValues.length !== rows * ISO_TEXTURE_WIDTH * 4) isoValues = new Float32Array(rows * ISO_TEXTURE_WIDTH * 4);
+
+  isoMaterial.uniforms.uGridRes.value.set(resX, resY, resZ);
+  isoMaterial.uniforms.uIsoRms.value = isoMode === "rms" ? 1.0 : 0.0;
+
+  renderer.setRenderTarget(isoTarget);
+  renderer.render(isoScene, simCamera);
+  renderer.setRenderTarget(null);
+  renderer.readRenderTargetPixels(isoTarget, 0, 0, ISO_TEXTURE_WIDTH, rows, isoValues);
+}
+
+// Cube corners, and the six tetrahedra sharing the 0–6 diagonal
+const CUBE_CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const CUBE_TETRAHEDRA = [[0, 5, 1, 6], [0, 1, 2, 6], [0, 2, 3, 6], [0, 3, 7, 6], [0, 7, 4, 6], [0, 4, 5, 6]];
+
+// Triangles where the grid values cross level, written as xyz triples into
+// out until it is full; returns { n: floats written, capped: triangles were
+// left out for lack of room }. Grid point
+// (ix, iy, iz) is values[(ix * ny + iy) * nz + iz] at origin + (ix, iy, iz) * step
+function marchTetrahedra(values, nx, ny, nz, level, origin, step, out) {
+  let n = 0;
+  const v = new Float64Array(8);
+  const p = Array.from({ length: 8 }, () => new THREE.Vector3());
+
+  // point on the edge a–b where the field crosses level
+  const cross = (a, b) => {
+    const t = (level - v[a]) / (v[b] - v[a]);
+    out[n++] = p[a].x + (p[b].x - p[a].x) * t;
+    out[n++] = p[a].y + (p[b].y - p[a].y) * t;
+    out[n++] = p[a].z + (p[b].z - p[a].z) * t;
+  };
+
+  for (let ix = 0; ix < nx - 1; ix++) {
+    for (let iy = 0; iy < ny - 1; iy++) {
+      for (let iz = 0; iz < nz - 1; iz++) {
+        let above = 0;
+        for (let c = 0; c < 8; c++) {
+          const [dx, dy, dz] = CUBE_CORNERS[c];
+          v[c] = values[((ix + dx) * ny + iy + dy) * nz + iz + dz];
+          if (v[c] > level) above++;
+        }
+        if (above === 0 || above === 8) continue;
+
+        for (let c = 0; c < 8; c++) {
+          const [dx, dy, dz] = CUBE_CORNERS[c];
+          p[c].set(origin.x + (ix + dx) * step.x, origin.y + (iy + dy) * step.y, origin.z + (iz + dz) * step.z);
+        }
+
+        for (const tet of CUBE_TETRAHEDRA) {
+          const inside = tet.filter((c) => v[c] > level);
+          const outside = tet.filter((c) => v[c] <= level);
+
+          if (inside.length === 1 || inside.length === 3) {
+            // one corner cut off: a triangle
+            const [lone, others] = inside.length === 1 ? [inside[0], outside] : [outside[0], inside];
+            if (n + 9 > out.length) return { n, capped: true };
+            for (const o of others) cross(lone, o);
+          } else if (inside.length === 2) {
+            // two against two: a quad, as two triangles
+            const [a, b] = inside;
+            const [c, d] = outside;
+            if (n + 18 > out.length) return { n, capped: true };
+            cross(a, c); cross(a, d); cross(b, d);
+            cross(a, c); cross(b, d); cross(b, c);
+          }
+        }
+      }
+    }
+  }
+  return { n, capped: false };
+}
+
+// Contour at level into mesh; returns its triangle count
+function contourIsoMesh(mesh, level, origin, step) {
+  const { n, capped } = marchTetrahedra(isoValues, resX, resY, resZ, level, origin, step, isoScratch);
+  if (capped) isoCapped = true;
+
+  mesh.geometry.dispose();
+  mesh.geometry = new THREE.BufferGeometry();
+  mesh.geometry.setAttribute("position", new THREE.BufferAttribute(isoScratch.slice(0, n), 3));
+  mesh.geometry.computeVertexNormals();
+  return n / 9;
+}
+
+// Re-contour both surfaces from a fresh sample of the field
+function updateIsosurfaces() {
+  isoDirty = false;
+  for (const mesh of isoMeshes) {
+    mesh.visible = isoMode !== "off";
+    mesh.material.opacity = isoOpacity;
+  }
+  if (isoMode === "off") {
+    isoTriangles = 0;
+    return;
+  }
+
+  sampleIsoField();
+
+  const origin = fieldCenter.clone().addScaledVector(fieldSize, -0.5);
+  const step = new THREE.Vector3(
+    fieldSize.x / (resX - 1),
+    fieldSize.y / (resY - 1),
+    fieldSize.z / (resZ - 1)
+  );
+  const lowLevel = isoMode === "rms" ? isoNull : -isoLobe;
+
+  isoCapped = false;
+  isoTriangles =
+    contourIsoMesh(isoMeshes[0], isoLobe, origin, step) +
+    contourIsoMesh(isoMeshes[1], lowLevel, origin, step);
+}
+
+// -------------------------------
+// Volume rendering
+// -------------------------------
+// A glowing field at screen resolution, independent of the point density: a
+// box around the field volume ray-marches the analytic field per pixel (the
+// solver grid in FDTD mode), maps each sample through the transfer function
+// and composites front to back. That is the full field model at every step of
+// every ray, so the image is drawn into volumeTarget at a fraction of the
+// canvas size, upscaled over the scene, and only redrawn when the field time,
+// the view, the sources or a setting changed.
+let volumeMode = "off"; // "off" | "amplitude" (live, signed) | "rms" (time-averaged)
+let volumeSteps = 64;   // samples per ray
+let volumeRange = 0.5;  // field value at the ends of the transfer function
+let volumeDensity = 1;  // opacity scale
+const volumeTarget = new THREE.WebGLRenderTarget(1, 1, { depthBuffer: false });
+let volumeScale = 0;    // of the current image, 0 = none yet
+let volumeDirty = true;
+
+// Transfer function: control points over u = 0..1 (signed field: -range … +range,
+// RMS: 0 … range), interpolated into a TRANSFER_SIZE × 1 texture
+const TRANSFER_PRESETS = {
+  signed: [
+    { u: 0, color: "#0000ff", alpha: 0.9 },
+    { u: 0.4, color: "#0000ff", alpha: 0 },
+    { u: 0.6, color: "#ff0000", alpha: 0 },
+    { u: 1, color: "#ff0000", alpha: 0.9 }
+  ],
+  heat: [
+    { u: 0, color: "#0000ff", alpha: 0 },
+    { u: 0.5, color: "#ff0000", alpha: 0.3 },
+    { u: 1, color: "#ffff00", alpha: 1 }
+  ],
+  glow: [
+    { u: 0, color: "#000000", alpha: 0 },
+    { u: 0.7, color: "#ff0000", alpha: 0.05 },
+    { u: 1, color: "#ffffff", alpha: 0.8 }
+  ]
+};
+let transferPoints = TRANSFER_PRESETS.signed.map((p) => ({ ...p }));
+
+const transferData = new Uint8Array(TRANSFER_SIZE * 4);
+const transferTexture = new THREE.DataTexture(transferData, TRANSFER_SIZE, 1, THREE.RGBAFormat);
+transferTexture.minFilter = THREE.LinearFilter;
+transferTexture.magFilter = THREE.LinearFilter;
+
+// Piecewise linear between the control points (kept sorted by u)
+function transferAt(u, target) {
+  const pts = transferPoints;
+  let i = 1;
+  while (i < pts.length - 1 && pts[i].u < u) i++;
+  const a = pts[i - 1];
+  const b = pts[i];
+  const f = THREE.MathUtils.clamp((u - a.u) / Math.max(b.u - a.u, 1e-6), 0, 1);
+  target.color.set(a.color).lerp(new THREE.Color(b.color), f);
+  target.alpha = a.alpha + (b.alpha - a.alpha) * f;
+  return target;
+}
+
+function updateTransferTexture() {
+  transferPoints.sort((a, b) => a.u - b.u);
+  const sample = { color: new THREE.Color(), alpha: 0 };
+  for (let i = 0; i < TRANSFER_SIZE; i++) {
+    transferAt(i / (TRANSFER_SIZE - 1), sample);
+    transferData[i * 4] = Math.round(sample.color.r * 255);
+    transferData[i * 4 + 1] = Math.round(sample.color.g * 255);
+    transferData[i * 4 + 2] = Math.round(sample.color.b * 255);
+    transferData[i * 4 + 3] = Math.round(sample.alpha * 255);
+  }
+  transferTexture.needsUpdate = true;
+}
+updateTransferTexture();
+
+// Drawn on the back faces with no depth test, so it still shows from inside
+// the box; the colors are premultiplied by their opacity
+const volumeMesh = new THREE.Mesh(
+  new THREE.BoxGeometry(1, 1, 1),
+  new THREE.ShaderMaterial({
+    uniforms: {
+      ...getFieldUniforms(),
+      uMinLambda: { value: 0 },
+      uTransfer: { value: transferTexture },
+      uVolumeRange: { value: volumeRange },
+      uVolumeRms: { value: 0.0 },
+      uVolumeDensity: { value: volumeDensity },
+      uVolumeSteps: { value: volumeSteps }
+    },
+    vertexShader: `
+      varying vec3 vWorldPos;
+
+      void main() {
+        vec4 worldPos = modelMatrix * vec4(position, 1.0);
+        vWorldPos = worldPos.xyz;
+        gl_Position = projectionMatrix * viewMatrix * worldPos;
+      }
+    `,
+    fragmentShader: `
+      precision highp float;
+      ${fieldShaderChunk}
+
+      const int VOLUME_STEPS = ${VOLUME_STEPS};
+
+      uniform sampler2D uTransfer;
+      uniform float uVolumeRange;
+      uniform float uVolumeRms;     // 1.0 = RMS over a period, else the live field
+      uniform float uVolumeDensity;
+      uniform float uVolumeSteps;   // samples per ray, at most VOLUME_STEPS
+
+      varying vec3 vWorldPos;
+
+      float volumeValue(vec3 p) {
+        if (uVolumeRms > 0.5) return sqrt(meanIntensity(p, uTime));
+        if (uSimMode > 0.5) return solverAmplitude(p);
+        return drawnAmplitude(analyticField(p, uTime, FIELD_DRAWN));
+      }
+
+      void main() {
+        // where the view ray enters and leaves the field box
+        vec3 dir = normalize(vWorldPos - cameraPosition);
+        vec3 t0 = (uFieldMin - cameraPosition) / dir;
+        vec3 t1 = (uFieldMin + uFieldSize - cameraPosition) / dir;
+        vec3 tMin = min(t0, t1);
+        vec3 tMax = max(t0, t1);
+        float tNear = max(max(max(tMin.x, tMin.y), tMin.z), 0.0);
+        float tFar = min(min(tMax.x, tMax.y), tMax.z);
+        if (tFar <= tNear) discard;
+
+        // opacities are per reference step, rescaled to the actual step length
+        float dt = (tFar - tNear) / uVolumeSteps;
+        float refStep = length(uFieldSize) / float(VOLUME_STEPS);
+
+        // jittered start against banding
+        float jitter = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+
+        vec4 acc = vec4(0.0);
+        for (int i = 0; i < VOLUME_STEPS; i++) {
+          if (float(i) >= uVolumeSteps) break;
+          vec3 p = cameraPosition + dir * (tNear + (float(i) + jitter) * dt);
+          float v = volumeValue(p) / uVolumeRange;
+          float u = uVolumeRms > 0.5 ? v : 0.5 + 0.5 * v;
+
+          vec4 tf = texture2D(uTransfer, vec2(clamp(u, 0.0, 1.0), 0.5));
+          float a = 1.0 - pow(1.0 - min(tf.a * uVolumeDensity, 0.999), dt / refStep);
+          acc.rgb += (1.0 - acc.a) * a * tf.rgb;
+          acc.a += (1.0 - acc.a) * a;
+          if (acc.a > 0.99) break;
+        }
+        gl_FragColor = acc;
+      }
+    `,
+    depthTest: false,
+    depthWrite: false,
+    blending: THREE.NoBlending,
+    side: THREE.BackSide
+  })
+);
+const volumeScene = new THREE.Scene();
+volumeScene.add(volumeMesh);
+
+// The cached image over the scene, in front of everything like before
+const volumeOverlay = new THREE.Mesh(
+  new THREE.PlaneGeometry(2, 2),
+  new THREE.ShaderMaterial({
+    uniforms: {
+      uImage: { value: volumeTarget.texture }
+    },
+    vertexShader: `
+      varying vec2 vUv;
+
+      void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform sampler2D uImage;
+      varying vec2 vUv;
+
+      void main() {
+        gl_FragColor = texture2D(uImage, vUv);
+      }
+    `,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    blending: THREE.CustomBlending,
+    blendSrc: THREE.OneFactor,
+    blendDst: THREE.OneMinusSrcAlphaFactor
+  })
+);
+volumeOverlay.frustumCulled = false;
+volumeOverlay.renderOrder = 1;
+volumeOverlay.visible = false;
+scene.add(volumeOverlay);
+
+// What the cached image was drawn with
+const volumeView = new THREE.Matrix4();
+const volumeProjection = new THREE.Matrix4();
+const volumeSourceData = new Float32Array(sourceTextureData.length);
+let volumeTime = NaN;
+
+// Longest ray step; shorter wavelengths alias along the rays, so those
+// sources are drawn as their envelope
+function volumeStepLength() {
+  return fieldSize.length() / volumeSteps;
+}
+
+// Redraw the ray-marched image when anything it shows moved on: coarse while
+// it does, then once more at VOLUME_SCALE_STILL when it stopped; call after the
+// camera is placed for the frame
+function renderVolume() {
+  volumeOverlay.visible = volumeMode !== "off";
+  if (volumeMode === "off") return;
+
+  camera.updateMatrixWorld();
+  const uniforms = volumeMesh.material.uniforms;
+  if (uniforms.uTime.value !== volumeTime ||
+      !volumeView.equals(camera.matrixWorld) ||
+      !volumeProjection.equals(camera.projectionMatrix) ||
+      sourceTextureData.some((v, i) => v !== volumeSourceData[i])) {
+    volumeDirty = true;
+  }
+  if (!volumeDirty && volumeScale === VOLUME_SCALE_STILL) return;
+
+  volumeScale = volumeDirty ? VOLUME_SCALE_MOVING : VOLUME_SCALE_STILL;
+  const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+  volumeTarget.setSize(
+    Math.max(1, Math.round(size.x * volumeScale)),
+    Math.max(1, Math.round(size.y * volumeScale))
+  );
+
+  volumeDirty = false;
+  volumeTime = uniforms.uTime.value;
+  volumeView.copy(camera.matrixWorld);
+  volumeProjection.copy(camera.projectionMatrix);
+  volumeSourceData.set(sourceTextureData);
+
+  uniforms.uMinLambda.value = 2 * volumeStepLength();
+  uniforms.uVolumeRange.value = volumeRange;
+  uniforms.uVolumeRms.value = volumeMode === "rms" ? 1.0 : 0.0;
+  uniforms.uVolumeDensity.value = volumeDensity;
+  uniforms.uVolumeSteps.value = volumeSteps;
+
+  // slightly larger than the volume so its faces aren't clipped
+  volumeMesh.position.copy(fieldCenter);
+  volumeMesh.scale.copy(fieldSize).multiplyScalar(1.001);
+
+  const clearColor = renderer.getClearColor(new THREE.Color());
+  const clearAlpha = renderer.getClearAlpha();
+  renderer.setClearColor(0x000000, 0);
+  renderer.setRenderTarget(volumeTarget);
+  renderer.render(volumeScene, camera);
+  renderer.setRenderTarget(null);
+  renderer.setClearColor(clearColor, clearAlpha);
+}
+
+// -------------------------------
+// Time-averaged intensity
+// -------------------------------
+// The "Mean intensity" display colors the points by <E²> over a period while
+// they keep moving with the live field. "analytic" is the phasor sum of
+// meanIntensity() (exact for CW sources, same-frequency sources coherent);
+// "accumulated" keeps a running mean of E² in a 3D grid over the field
+// volume, which also covers pulses, chirps, moving sources and the FDTD grid.
+let intensityAverage = "analytic"; // "analytic" | "accumulated"
+let intensityTargets = null;       // [current mean, scratch], swapped per frame
+let intensitySamples = 0;          // frames in the mean since the last reset
+
+const intensityAccumMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    ...getFieldUniforms(),
+    uIntensityRes: { value: new THREE.Vector3(1, 1, 1) },
+    uIntensitySlice: { value: 0 },
+    uIntensityPrev: { value: null },
+    uIntensityBlend: { value: 1.0 }
+  },
+  vertexShader: /* glsl */`
+    void main() {
+      gl_Position = vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    precision highp float;
+    ${fieldShaderChunk}
+
+    uniform vec3  uIntensityRes;
+    uniform float uIntensitySlice;
+    uniform sampler3D uIntensityPrev;
+    uniform float uIntensityBlend; // weight of this frame, 1/n while filling up
+
+    void main() {
+      vec3 p = uFieldMin + vec3(gl_FragCoord.xy, uIntensitySlice + 0.5) / uIntensityRes * uFieldSize;
+
+      float e2;
+      if (uSimMode > 0.5) {
+        float A = solverAmplitude(p);
+        e2 = A * A;
+      } else {
+        // unresolved sources come as their envelope, already a period average
+        vec3 f = analyticField(p, uTime, FIELD_DRAWN);
+        e2 = f.x * f.x + 0.5 * f.y;
+      }
+
+      float prev = texelFetch(uIntensityPrev, ivec3(gl_FragCoord.xy, uIntensitySlice), 0).r;
+      gl_FragColor = vec4(mix(prev, e2, uIntensityBlend), 0.0, 0.0, 1.0);
+    }
+  `
+});
+
+const intensityScene = new THREE.Scene();
+intensityScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), intensityAccumMaterial));
+
+// Cells per axis: INTENSITY_GRID_RES along the longest side of the field volume
+function intensityResolution() {
+  const longest = Math.max(fieldSize.x, fieldSize.y, fieldSize.z);
+  return new THREE.Vector3(
+    Math.max(2, Math.round(INTENSITY_GRID_RES * fieldSize.x / longest)),
+    Math.max(2, Math.round(INTENSITY_GRID_RES * fieldSize.y / longest)),
+    Math.max(2, Math.round(INTENSITY_GRID_RES * fieldSize.z / longest))
+  );
+}
+
+// Start the mean over, e.g. after a seek or a change of the field volume
+function resetIntensityAverage() {
+  intensitySamples = 0;
+}
+
+// One more frame into the running mean: a plain average over the first
+// INTENSITY_AVERAGE_FRAMES, then an exponential one over as many frames
+function accumulateIntensity() {
+  const res = intensityResolution();
+  const [current] = intensityTargets || [];
+  if (!current || current.width !== res.x || current.height !== res.y || current.depth !== res.z) {
+    if (intensityTargets) intensityTargets.forEach((rt) => rt.dispose());
+    intensityTargets = [createSolverTarget(res), createSolverTarget(res)];
+    resetIntensityAverage();
+  }
+
+  intensitySamples = Math.min(intensitySamples + 1, INTENSITY_AVERAGE_FRAMES);
+  const uniforms = intensityAccumMaterial.uniforms;
+  uniforms.uIntensityRes.value.copy(res);
+  uniforms.uIntensityPrev.value = intensityTargets[0].texture;
+  uniforms.uIntensityBlend.value = 1 / intensitySamples;
+  for (let z = 0; z < res.z; z++) {
+    uniforms.uIntensitySlice.value = z;
+    renderer.setRenderTarget(intensityTargets[1], z);
+    renderer.render(intensityScene, simCamera);
+  }
+  renderer.setRenderTarget(null);
+
+  intensityTargets.reverse();
+  fieldUniforms.uIntensityMean.value = intensityTargets[0].texture;
+}
+
+// -------------------------------
+// Placement (click-to-place + gizmo)
+// -------------------------------
+// A click on the canvas (a drag orbits instead) selects the source under the
+// cursor, or casts a ray onto the GLB and puts a source (or a waypoint, or a
+// probe) on the surface it hits, pushed out along the surface normal. The
+// selected source carries a translate gizmo.
+const CLICK_TOLERANCE = 5; // px of pointer travel still counted as a click
+const PICK_RADIUS = 12;    // px around a source that selects it
+
+let placeMode = "select";  // "select" | "move" (selected source) | "add" (new source) | "waypoint" | "probe"
+let placeOffset = 2;       // world units along the surface normal
+let gizmoEnabled = true;
+let selectedSource = null;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+const transformControls = new TransformControls(camera, renderer.domElement);
+transformControls.setMode("translate");
+scene.add(transformControls);
+
+// Nearest source to the cursor on screen, within PICK_RADIUS
+function pickSource(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const p = new THREE.Vector3();
+  let best = null;
+  let bestDist = PICK_RADIUS;
+
+  for (const src of sources) {
+    if (!src.enabled) continue; // hidden, like its marker
+    p.copy(src.pos).project(camera);
+    if (p.z > 1) continue; // behind the camera
+
+    const dx = (p.x + 1) / 2 * rect.width + rect.left - event.clientX;
+    const dy = (1 - p.y) / 2 * rect.height + rect.top - event.clientY;
+    const d = Math.hypot(dx, dy);
+    if (d < bestDist) {
+      best = src;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+// GLB surface point under the cursor, moved offset units off the surface on the
+// side facing the camera. Without a hit, the ground at the bottom of the bounds.
+function surfacePoint(event, offset) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+
+  const hit = model ? raycaster.intersectObject(model, true).find((h) => h.face) : null;
+  if (hit) {
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+    if (normal.dot(raycaster.ray.direction) > 0) normal.negate(); // back face
+    return hit.point.clone().addScaledVector(normal, offset).clamp(boundsMin, boundsMax);
+  }
+
+  groundPlane.constant = -boundsMin.y;
+  const ground = raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3());
+  return ground ? ground.addScaledVector(groundPlane.normal, offset).clamp(boundsMin, boundsMax) : null;
+}
+
+function selectSource(src) {
+  selectedSource = src;
+  for (const s of sources) s.ui.panel.classList.toggle("selected", s === src);
+
+  if (src && gizmoEnabled) transformControls.attach(src.mesh);
+  else transformControls.detach();
+  updatePlacementReadout();
+}
+
+// Put src at p: it stops wandering, and its emission history restarts there
+// (a jump across the model isn't motion the Doppler field should show)
+function placeSource(src, p) {
+  src.pos.copy(p);
+  src.home.copy(p);
+  src.mesh.position.copy(p);
+  setSourceMotion(src, "off");
+  syncSourceSliders(src);
+  fillSourceHistory(src.slot, src.pos);
+  clearSnapshots();
+}
+
+// Append a waypoint to the path of src; the first one also starts the path there
+function addWaypoint(src, p) {
+  src.path.points.push(p);
+  updatePathCurve(src.path);
+  updateWaypointCount(src);
+  // the first waypoint is where the path starts, later ones reshape it
+  if (src.path.points.length === 1 || src.motion === "path") restartPath(src);
+  clearSnapshots();
+  updateLabels();
+}
+
+function onCanvasClick(event) {
+  const picked = pickSource(event);
+  if (picked) {
+    selectSource(picked);
+    return;
+  }
+  if (placeMode === "select") {
+    selectSource(null);
+    return;
+  }
+
+  const p = surfacePoint(event, placeOffset);
+  if (!p) return;
+
+  if (placeMode === "waypoint") {
+    if (selectedSource) addWaypoint(selectedSource, p);
+    return;
+  }
+  if (placeMode === "probe") {
+    addProbe(p);
+    return;
+  }
+
+  const src = placeMode === "add" ? addSource() : selectedSource;
+  if (!src) return;
+  placeSource(src, p);
+  selectSource(src);
+  updateLabels();
+}
+
+// Only a press and release without much travel, and not on the gizmo, is a click
+let pointerDownAt = null;
+let gizmoPressed = false;
+
+transformControls.addEventListener("mouseDown", () => { gizmoPressed = true; });
+
+transformControls.addEventListener("dragging-changed", (event) => {
+  controls.enabled = !event.value;
+  if (event.value && selectedSource) setSourceMotion(selectedSource, "off");
+});
+
+transformControls.addEventListener("objectChange", () => {
+  if (!selectedSource) return;
+  selectedSource.pos.copy(selectedSource.mesh.position);
+  selectedSource.home.copy(selectedSource.pos);
+  syncSourceSliders(selectedSource);
+  clearSnapshots();
+  updateLabels();
+});
+
+renderer.domElement.addEventListener("pointerdown", (event) => {
+  pointerDownAt = { x: event.clientX, y: event.clientY };
+});
+
+renderer.domElement.addEventListener("pointerup", (event) => {
+  const click = pointerDownAt && !gizmoPressed && event.button === 0 &&
+    Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) <= CLICK_TOLERANCE;
+  pointerDownAt = null;
+  gizmoPressed = false;
+  if (click) onCanvasClick(event);
+});
+
+// -------------------------------
+// Simulation clock
+// -------------------------------
+// The world advances in fixed SIM_DT steps, decoupled from the render rate:
+// animate() runs as many steps as the wall clock has accumulated. Randomness
+// comes from per-source streams seeded from simSeed, so the state after n
+// steps depends only on the seed and the scene setup, and seekTo(t) can
+// replay it from t = 0, or from the nearest snapshot of the run.
+const SIM_DT = 1 / 60;
+const MAX_STEPS_PER_FRAME = 4; // at 1×; after a stall, slow down rather than spiral
+
+// Snapshots every SNAPSHOT_STEPS: the newest DENSE_SNAPSHOTS are all kept,
+// older ones are thinned so the gaps grow with age (see thinSnapshots)
+const SNAPSHOT_STEPS = 30;
+const MAX_SNAPSHOTS = 16;
+const DENSE_SNAPSHOTS = 6;
+// FDTD snapshots hold two float copies of the wave state; large grids get
+// fewer of them so they stay within SNAPSHOT_MEMORY bytes
+const SNAPSHOT_MEMORY = 256 * 1024 * 1024;
+// FDTD replays run the solver on the main thread; longer ones are refused
+const MAX_FDTD_REPLAY_STEPS = 120;
+
+let simSeed = Number(new URLSearchParams(window.location?.search ?? "").get("seed")) || 1;
+let simStep = 0;
+let simTime = 0;        // simStep * SIM_DT, seconds
+let simAccumulator = 0; // wall-clock time not yet simulated
+let simPaused = false;
+let timeScale = 1;      // simulated seconds per wall-clock second
+let snapshots = [];     // sorted by step
+let spareTargets = [];  // solver targets of dropped snapshots, for reuse
+let seekNote = "";      // why the last seek was refused, for the clock readout
+let timelineDragging = false;
+
+// One fixed step: move the sources, record their history, advance the solver
+function stepWorld() {
+  simStep++;
+  simTime = simStep * SIM_DT;
+
+  for (const src of sources) {
+    if (!src.enabled || src.motion === "off") continue;
+    if (src.motion === "path") {
+      if (!src.path.points.length) continue;
+      advancePath(src, SIM_DT);
+    } else {
+      updateAutoSource(SIM_DT, src.pos, src.velocity, src.random);
+    }
+    src.mesh.position.copy(src.pos);
+    syncSourceSliders(src);
+  }
+
+  recordSourceHistory(simTime);
+
+  // Numerical mode: advance the wave equation
+  if (simMode === "fdtd") {
+    if (materialsDirty) buildSolverMaterials();
+    simMaterial.uniforms.u_materialsOn.value = occlusionEnabled ? 1.0 : 0.0;
+
+    for (let s = 0; s < FDTD_STEPS_PER_FRAME; s++) {
+      stepSimulation();
+    }
+  }
+
+  if (simStep % SNAPSHOT_STEPS === 0) takeSnapshot();
+}
+
+// Back to t = 0: sources at their home positions, history and solver cleared
+function resetSimulation() {
+  simStep = 0;
+  simTime = 0;
+  simAccumulator = 0;
+
+  historyHead = -1;
+  historyCount = 0;
+  historyTime = 0;
+  for (const src of sources) {
+    resetSourceMotion(src);
+    fillSourceHistory(src.slot, src.pos);
+  }
+  recordSourceHistory(0);
+  clearSolverState();
+}
+
+// Everything stepWorld() changes: source motion, the emission history and,
+// in FDTD mode, copies of the wave state
+function takeSnapshot() {
+  const snapshot = {
+    step: simStep,
+    sources: new Map(sources.map((src) => [src, {
+      pos: src.pos.clone(),
+      velocity: src.velocity.clone(),
+      random: src.random.state,
+      travelled: src.path.travelled
+    }])),
+    history: sourceHistoryData.slice(),
+    historyHead,
+    historyCount,
+    historyTime,
+    solver: null
+  };
+  if (simMode === "fdtd") {
+    snapshot.solver = { time: solverTime, curr: takeSpareTarget(), prev: takeSpareTarget() };
+    copyRT(rtCurr, snapshot.solver.curr);
+    copyRT(rtPrev, snapshot.solver.prev);
+  }
+
+  // a replay over an older snapshot's step replaces it
+  const i = snapshots.findIndex((other) => other.step >= simStep);
+  if (i < 0) {
+    snapshots.push(snapshot);
+  } else {
+    if (snapshots[i].step === simStep) disposeSnapshot(snapshots.splice(i, 1)[0]);
+    snapshots.splice(i, 0, snapshot);
+  }
+  thinSnapshots();
+}
+
+// Snapshots kept at once: MAX_SNAPSHOTS, or in FDTD mode as many as fit
+// in SNAPSHOT_MEMORY at the solver resolution (at least 2)
+function snapshotBudget() {
+  if (simMode !== "fdtd") return MAX_SNAPSHOTS;
+  const bytes = 2 * 4 * solverRes.x * solverRes.y * solverRes.z;
+  return THREE.MathUtils.clamp(Math.floor(SNAPSHOT_MEMORY / bytes), 2, MAX_SNAPSHOTS);
+}
+
+// Over the budget, drop the older snapshot whose removal leaves the
+// smallest gap (t = 0 counts as one), so spacing grows with age
+function thinSnapshots() {
+  const budget = snapshotBudget();
+  const dense = Math.min(DENSE_SNAPSHOTS, budget - 1);
+  while (snapshots.length > budget) {
+    let drop = 0;
+    let smallest = Infinity;
+    for (let i = 0; i < snapshots.length - dense; i++) {
+      const gap = snapshots[i + 1].step - (i > 0 ? snapshots[i - 1].step : 0);
+      if (gap < smallest) {
+        smallest = gap;
+        drop = i;
+      }
+    }
+    disposeSnapshot(snapshots.splice(drop, 1)[0]);
+  }
+}
+
+// Solver targets go back to spareTargets; while a run goes on, every new
+// snapshot reuses the ones of the snapshot thinned before it
+function disposeSnapshot(snapshot) {
+  if (!snapshot.solver) return;
+  spareTargets.push(snapshot.solver.curr, snapshot.solver.prev);
+}
+
+function takeSpareTarget() {
+  return spareTargets.pop() ?? createSolverTarget();
+}
+
+// After a change the recorded run no longer follows from (seed, new setup, mode);
+// the targets are freed too, as they may not match the next solver resolution
+function clearSnapshots() {
+  snapshots.forEach(disposeSnapshot);
+  snapshots = [];
+  spareTargets.forEach((rt) => rt.dispose());
+  spareTargets = [];
+}
+
+function restoreSnapshot(snapshot) {
+  simStep = snapshot.step;
+  simTime = simStep * SIM_DT;
+  simAccumulator = 0;
+
+  for (const src of sources) {
+    const state = snapshot.sources.get(src);
+    src.pos.copy(state.pos);
+    src.velocity.copy(state.velocity);
+    src.random.state = state.random;
+    src.path.travelled = state.travelled;
+    src.mesh.position.copy(src.pos);
+    syncSourceSliders(src);
+  }
+
+  sourceHistoryData.set(snapshot.history);
+  historyHead = snapshot.historyHead;
+  historyCount = snapshot.historyCount;
+  historyTime = snapshot.historyTime;
+  sourceHistoryTexture.needsUpdate = true;
+
+  if (snapshot.solver) {
+    copyRT(snapshot.solver.curr, rtCurr);
+    copyRT(snapshot.solver.prev, rtPrev);
+    solverTime = snapshot.solver.time;
+  }
+}
+
+// Go to the step nearest t, replaying from the current step, the latest
+// snapshot before t or t = 0, whichever is closest; the same seed and setup
+// always give the same frame. In FDTD mode a replay of more than
+// MAX_FDTD_REPLAY_STEPS is refused (returns false, reason in seekNote).
+function seekTo(t) {
+  const target = Math.round(Math.max(t, 0) / SIM_DT);
+
+  let snapshot = null;
+  for (const other of snapshots) {
+    if (other.step > target) break;
+    if (simMode !== "fdtd" || other.solver) snapshot = other;
+  }
+  const from = snapshot ? snapshot.step : 0;
+  const fromCurrent = simStep <= target && simStep >= from;
+  const replay = target - (fromCurrent ? simStep : from);
+
+  if (simMode === "fdtd" && replay > MAX_FDTD_REPLAY_STEPS) {
+    seekNote = "FDTD: no snapshot within " + (MAX_FDTD_REPLAY_STEPS * SIM_DT).toFixed(0) +
+      " s before t = " + (target * SIM_DT).toFixed(2) + " s";
+    return false;
+  }
+  seekNote = "";
+
+  if (!fromCurrent) {
+    if (snapshot) restoreSnapshot(snapshot);
+    else resetSimulation();
+  }
+  simAccumulator = 0;
+  while (simStep < target) stepWorld();
+  return true;
+}
+
+// Single-step by n frames; backwards is a replay from the nearest snapshot
+function stepFrames(n) {
+  simAccumulator = 0;
+  if (n >= 0) {
+    seekNote = "";
+    for (let i = 0; i < n; i++) stepWorld();
+  } else {
+    seekTo((simStep + n) * SIM_DT);
+  }
+}
+
+// Frames in one drawn carrier period of the selected (or first enabled) source
+function periodSteps() {
+  const src = selectedSource ?? sources.find((s) => s.enabled);
+  if (!src) return 1;
+  return Math.max(1, Math.round(2 * Math.PI / getDisplayOmegaFromFrequency(src.freq) / SIM_DT));
+}
+
+// -------------------------------
+// Optional GLB (for bounds + visuals)
+// -------------------------------
+if (GLTFLoader) {
+  const loader = new GLTFLoader();
+  loader.load(
+    "models/obstacle1.glb",
+    (gltf) => {
+      const root = gltf.scene;
+      root.position.set(0, 0, 0);
+
+      model = root; // store reference for material switching
+      scene.add(model);
+
+      model.traverse((obj) => {
+        if (obj.isMesh) {
+          obj.castShadow = false;
+          obj.receiveShadow = false;
+
+          // optional: remember original material
+          obj.userData.originalMaterial = obj.material;
+
+          // what the FDTD solver treats this mesh as
+          obj.userData.solverMaterial = DEFAULT_SOLVER_MATERIAL;
+
+          // initial material (will be overridden by applyMaterialMode as well)
+          obj.material = gridMaterial;
+        }
+      });
+
+      // Apply whatever mode is currently selected
+      applyMaterialMode(currentMaterialMode);
+
+      // Voxelize the buildings so the field shader can cast radio shadows
+      buildOcclusionGrid(model);
+      buildFacades(model);
+      buildMaterialMapUI();
+
+      // Compute bounding box in world space
+      model.updateWorldMatrix(true, true);
+      const bbox = new THREE.Box3().setFromObject(model);
+      const size = new THREE.Vector3();
+      bbox.getSize(size);
+      bbox.getCenter(boundsCenter);
+
+      boundsMin.copy(bbox.min);
+      boundsMax.copy(bbox.max);
+
+      console.log("GLB bounds:", boundsMin, boundsMax, "size:", size);
+
+      // --- 1) Snap field center to model center ---
+      fieldCenter.copy(boundsCenter);
 
       // Snap field position sliders to "center" (slider 0 → center)
       fieldPosXSlider.value = "0";
       fieldPosYSlider.value = "0";
       fieldPosZSlider.value = "0";
 
-      // --- 2) Snap both sources to model center ---
-      source1XSlider.value = "0";
-      source1YSlider.value = "0";
-      source1ZSlider.value = "0";
-      source2XSlider.value = "0";
-      source2YSlider.value = "0";
-      source2ZSlider.value = "0";
-      source3XSlider.value = "0";
-      source3YSlider.value = "0";
-      source3ZSlider.value = "0";
-
-      // Update source positions using new bounds & slider values
-      updateSource1FromSliders();
-      updateSource2FromSliders();
-      updateSource3FromSliders();
+      // --- 2) Snap all sources to model center ---
+      // and update their positions using new bounds & slider values
+      for (const src of sources) {
+        src.ui.x.value = "0";
+        src.ui.y.value = "0";
+        src.ui.z.value = "0";
+        updateSourceFromSliders(src);
+      }
+      updateProbeFromSliders();
 
       // --- 3) Let field size sliders extend over the entire model ---
       // Ensure slider max covers at least the full bbox extent on each axis
@@ -603,9 +3994,13 @@ if (GLTFLoader) {
 
       // Update field size from sliders
       updateFieldSizeFromSliders();
+      resetSolver();
 
       // Rebuild point cloud with new center, bounds, and size
       buildPointCloud();
+
+      // The replay clock starts once the model is in place
+      resetSimulation();
       updateLabels();
     },
     undefined,
@@ -625,90 +4020,431 @@ const fieldPosZSlider = document.getElementById("fieldPosZSlider");
 const fieldSizeXSlider = document.getElementById("fieldSizeXSlider");
 const fieldSizeYSlider = document.getElementById("fieldSizeYSlider");
 const fieldSizeZSlider = document.getElementById("fieldSizeZSlider");
+const solverResXSlider = document.getElementById("solverResXSlider");
+const solverResYSlider = document.getElementById("solverResYSlider");
+const solverResZSlider = document.getElementById("solverResZSlider");
+
+const simModeSelect = document.getElementById("simModeSelect");
+const pmlSlider = document.getElementById("pmlSlider");
+const lambdaModeSelect = document.getElementById("lambdaModeSelect");
+const metersPerUnitInput = document.getElementById("metersPerUnitInput");
+const materialMapRows = document.getElementById("materialMapRows");
+
+// Display controls
+const displayModeSelect = document.getElementById("displayModeSelect");
+const intensityAverageSelect = document.getElementById("intensityAverageSelect");
+const powerMinSlider = document.getElementById("powerMinSlider");
+const powerMaxSlider = document.getElementById("powerMaxSlider");
+const powerLegend = document.getElementById("powerLegend");
+const powerLegendMin = document.getElementById("powerLegendMin");
+const powerLegendMid = document.getElementById("powerLegendMid");
+const powerLegendMax = document.getElementById("powerLegendMax");
+
+// Occlusion controls
+const occlusionToggle = document.getElementById("occlusionToggle");
+const wallLossSlider = document.getElementById("wallLossSlider");
+const diffractionToggle = document.getElementById("diffractionToggle");
+
+// Doppler probe controls
+const dopplerToggle = document.getElementById("dopplerToggle");
+const probeXSlider = document.getElementById("probeXSlider");
+const probeYSlider = document.getElementById("probeYSlider");
+const probeZSlider = document.getElementById("probeZSlider");
+const probeReadout = document.getElementById("probeReadout");
+
+// Reflection controls
+const reflectionToggle = document.getElementById("reflectionToggle");
+const reflectionCoeffSlider = document.getElementById("reflectionCoeffSlider");
+
+// Playback controls
+const seedInput = document.getElementById("seedInput");
+const seekInput = document.getElementById("seekInput");
+const clockReadout = document.getElementById("clockReadout");
+const playButton = document.getElementById("playButton");
+const stepBackButton = document.getElementById("stepBackButton");
+const stepForwardButton = document.getElementById("stepForwardButton");
+const stepBackPeriodButton = document.getElementById("stepBackPeriodButton");
+const stepForwardPeriodButton = document.getElementById("stepForwardPeriodButton");
+const timeScaleSlider = document.getElementById("timeScaleSlider");
+const timelineSlider = document.getElementById("timelineSlider");
+
+// Placement controls
+const placeModeSelect = document.getElementById("placeModeSelect");
+const placeOffsetSlider = document.getElementById("placeOffsetSlider");
+const gizmoToggle = document.getElementById("gizmoToggle");
+const placementReadout = document.getElementById("placementReadout");
+
+// Source list
+const sourceList = document.getElementById("sourceList");
+const addSourceButton = document.getElementById("addSourceButton");
+
+// Probe receivers
+const probeList = document.getElementById("probeList");
+const addProbeButton = document.getElementById("addProbeButton");
+
+// Slicing planes
+const sliceList = document.getElementById("sliceList");
+const addSliceButton = document.getElementById("addSliceButton");
+const hidePointsToggle = document.getElementById("hidePointsToggle");
+
+// Isosurface controls
+const isoModeSelect = document.getElementById("isoModeSelect");
+const isoLobeSlider = document.getElementById("isoLobeSlider");
+const isoNullSlider = document.getElementById("isoNullSlider");
+const isoOpacitySlider = document.getElementById("isoOpacitySlider");
+const isoReadout = document.getElementById("isoReadout");
+
+// Volume rendering controls and transfer function editor
+const uiPanel = document.getElementById("ui");
+const volumeModeSelect = document.getElementById("volumeModeSelect");
+const volumeRangeSlider = document.getElementById("volumeRangeSlider");
+const volumeDensitySlider = document.getElementById("volumeDensitySlider");
+const volumeStepsSlider = document.getElementById("volumeStepsSlider");
+const transferCanvas = document.getElementById("transferCanvas");
+const transferColorInput = document.getElementById("transferColorInput");
+const transferRemoveButton = document.getElementById("transferRemoveButton");
+const transferPresetSelect = document.getElementById("transferPresetSelect");
+const volumeReadout = document.getElementById("volumeReadout");
+
+const labelsDiv = document.getElementById("labels");
+
+let densitySliderVal = Number(densitySlider.value);
+
+let displayMode = displayModeSelect.value; // "amplitude" | "power" | "intensity"
+let powerMinDbm = Number(powerMinSlider.value);
+let powerMaxDbm = Number(powerMaxSlider.value);
+
+
+function updateAutoSource(dt, pos, vel, random) {
+  // How much random steering per second
+  const wanderStrength = 1.5;    // tweakable
+  const maxSpeed = 20.0;          // units per second, tweakable
+
+  // Smoothly perturb the velocity each frame
+  vel.x += (random() - 0.5) * wanderStrength * dt;
+  vel.y += (random() - 0.5) * wanderStrength * dt;
+  vel.z += (random() - 0.5) * wanderStrength * dt;
+
+  // Clamp speed for smoothness
+  const speed = vel.length();
+  if (speed > maxSpeed) {
+    vel.multiplyScalar(maxSpeed / speed);
+  }
 
-// Source sliders
-const freq1Slider = document.getElementById("freq1Slider");
-const source1XSlider = document.getElementById("source1XSlider");
-const source1YSlider = document.getElementById("source1YSlider");
-const source1ZSlider = document.getElementById("source1ZSlider");
+  // Move the source
+  pos.addScaledVector(vel, dt);
+
+  // Bounce inside bounds
+  ["x", "y", "z"].forEach((axis) => {
+    const min = boundsMin[axis];
+    const max = boundsMax[axis];
+    if (pos[axis] < min) {
+      pos[axis] = min;
+      vel[axis] = Math.abs(vel[axis]);
+    } else if (pos[axis] > max) {
+      pos[axis] = max;
+      vel[axis] = -Math.abs(vel[axis]);
+    }
+  });
+}
+
+// Inverse mapping: world → slider value [-100, 100]
+function mapWorldToSlider(v, min, max) {
+  const t = (v - min) / (max - min); // 0..1
+  return t * 200 - 100;              // 0→-100, 0.5→0, 1→100
+}
+
+
+const materialSelect = document.getElementById("materialSelect");
+if (materialSelect) {
+  // set default
+  materialSelect.value = currentMaterialMode;
+
+  materialSelect.addEventListener("change", (event) => {
+    const mode = event.target.value;
+    applyMaterialMode(mode);
+    updatePowerLegend();
+    updateLabels();
+  });
+}
+
+const coverageMetricSelect = document.getElementById("coverageMetricSelect");
+coverageMetricSelect.value = coverageMetric;
+coverageMetricSelect.addEventListener("change", () => {
+  coverageMetric = coverageMetricSelect.value;
+  if (coverageMaterial) coverageMaterial.uniforms.uMetric.value = FIELD_METRICS.indexOf(coverageMetric);
+  updatePowerLegend();
+  updateLabels();
+});
+
+
+// One material dropdown per GLB mesh, feeding the solver's material map
+function buildMaterialMapUI() {
+  materialMapRows.innerHTML = "";
+
+  model.traverse((obj) => {
+    if (!obj.isMesh) return;
+
+    const row = document.createElement("div");
+    row.className = "slider-row";
+
+    const label = document.createElement("label");
+    label.textContent = obj.name || "mesh";
+
+    const select = document.createElement("select");
+    for (const [key, mat] of Object.entries(SOLVER_MATERIALS)) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = mat.label;
+      select.appendChild(option);
+    }
+    select.value = obj.userData.solverMaterial;
+
+    select.addEventListener("change", () => {
+      obj.userData.solverMaterial = select.value;
+      materialsDirty = true;
+    });
+
+    row.appendChild(label);
+    row.appendChild(select);
+    materialMapRows.appendChild(row);
+  });
+}
 
-const freq2Slider = document.getElementById("freq2Slider");
-const source2XSlider = document.getElementById("source2XSlider");
-const source2YSlider = document.getElementById("source2YSlider");
-const source2ZSlider = document.getElementById("source2ZSlider");
+// Rows of a generated source panel, same markup as the static blocks in index.html
+function createRow(parent, labelText, input) {
+  const row = document.createElement("div");
+  row.className = "slider-row";
 
-const freq3Slider = document.getElementById("freq3Slider");
-const source3XSlider = document.getElementById("source3XSlider");
-const source3YSlider = document.getElementById("source3YSlider");
-const source3ZSlider = document.getElementById("source3ZSlider");
+  const label = document.createElement("label");
+  label.textContent = labelText;
 
-const source1AutoToggle = document.getElementById("source1AutoToggle");
-const source2AutoToggle = document.getElementById("source2AutoToggle");
-const source3AutoToggle = document.getElementById("source3AutoToggle");
+  row.appendChild(label);
+  row.appendChild(input);
+  parent.appendChild(row);
+  return input;
+}
+
+function createSlider(parent, labelText, min, max, value, step) {
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = String(min);
+  input.max = String(max);
+  input.step = String(step);
+  input.value = String(value);
+  return createRow(parent, labelText, input);
+}
+
+function createSelect(parent, labelText, options, value) {
+  const select = document.createElement("select");
+  for (const [key, text] of options) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = text;
+    select.appendChild(option);
+  }
+  select.value = value;
+  return createRow(parent, labelText, select);
+}
+
+function createCheckbox(parent, labelText, checked) {
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.checked = checked;
+  return createRow(parent, labelText, input);
+}
+
+function createButton(parent, text, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.addEventListener("click", onClick);
+  parent.appendChild(button);
+  return button;
+}
+
+const WAVE_OPTIONS = [
+  ["cw", "CW"], ["pulse", "Gated pulse"], ["chirp", "Linear chirp"], ["am", "AM"], ["fm", "FM"]
+];
+const ANTENNA_OPTIONS = [
+  ["isotropic", "Isotropic"], ["dipole", "Half-wave dipole"], ["sector", "120° sector"],
+  ["patch", "Patch"], ["file", "Imported pattern"]
+];
+const MOTION_OPTIONS = [["off", "Static"], ["wander", "Random wander"], ["path", "Follow path"]];
+const PATH_SHAPE_OPTIONS = [["polyline", "Polyline"], ["spline", "Spline"]];
+const PATH_REPEAT_OPTIONS = [["loop", "Loop"], ["pingpong", "Ping-pong"]];
+const ARRAY_OPTIONS = [
+  ["single", "Single element"], ["linear", "Phased, linear"], ["planar", "Phased, planar"]
+];
+const SLICE_AXIS_OPTIONS = [
+  ["x", "X (YZ plane)"], ["y", "Y (horizontal)"], ["z", "Z (XY plane)"], ["free", "Free"]
+];
+const METRIC_OPTIONS = [
+  ["amplitude", "Amplitude (live)"], ["intensity", "Mean intensity"], ["power", "Received power (dBm)"]
+];
+
+// Panel for one source, appended to #sourceList. slider = initial X / Y / Z
+// slider values (-100..100)
+function buildSourcePanel(src, slider) {
+  const panel = document.createElement("div");
+  panel.className = "block block-source";
+
+  const title = document.createElement("div");
+  title.className = "panel-title";
+  title.textContent = src.name;
+  panel.appendChild(title);
+
+  const enabledToggle = createCheckbox(panel, "On", src.enabled);
+  const actions = enabledToggle.parentNode;
+  createButton(actions, "Select", () => selectSource(src));
+  createButton(actions, "Duplicate", () => {
+    addSource(sourceSettings(src));
+    updateLabels();
+  });
+  createButton(actions, "Remove", () => {
+    if (selectedSource === src) selectSource(null);
+    removeSource(src);
+    panel.remove();
+    updateAddSourceButton();
+    updateLabels();
+  });
+
+  const freqSlider = createSlider(panel, "Freq", 0, 100, src.freqSliderVal, 1);
+  const txSlider = createSlider(panel, "Tx dBm", -10, 60, src.txDbm, 1);
+  const gainSlider = createSlider(panel, "Gain", -10, 30, src.gainDbi, 1);
+
+  const waveControls = {
+    select: createSelect(panel, "Wave", WAVE_OPTIONS, src.wave.type),
+    rateSlider: createSlider(panel, "Rate", 0.05, 2, src.wave.rate, 0.05),
+    depthSlider: createSlider(panel, "Depth", 0, 1, src.wave.depth, 0.05)
+  };
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".msi,.pln,.txt";
+
+  const antenna = src.antenna;
+  const antennaControls = {
+    select: createSelect(panel, "Antenna", ANTENNA_OPTIONS, antenna.type),
+    fileInput: createRow(panel, "Pattern", fileInput),
+    azimuthSlider: createSlider(panel, "Azimuth", -180, 180, antenna.azimuth, 1),
+    tiltSlider: createSlider(panel, "Tilt", -90, 90, antenna.tilt, 1),
+    rollSlider: createSlider(panel, "Roll", -180, 180, antenna.roll, 1),
+    layoutSelect: createSelect(panel, "Array", ARRAY_OPTIONS, antenna.layout),
+    elementsSlider: createSlider(panel, "Elements", 2, 8, antenna.elements, 1),
+    spacingSlider: createSlider(panel, "Spacing", 0.25, 2, antenna.spacing, 0.05),
+    steerAzSlider: createSlider(panel, "Beam az", -90, 90, antenna.steerAz, 1),
+    steerElSlider: createSlider(panel, "Beam el", -90, 90, antenna.steerEl, 1)
+  };
+
+  const x = createSlider(panel, "X", -100, 100, slider.x, 1);
+  const y = createSlider(panel, "Y", -100, 100, slider.y, 1);
+  const z = createSlider(panel, "Z", -100, 100, slider.z, 1);
+  const path = src.path;
+  const motionSelect = createSelect(panel, "Motion", MOTION_OPTIONS, src.motion);
+  const speedSlider = createSlider(panel, "Speed", 0.5, 50, path.speed, 0.5);
+  const shapeSelect = createSelect(panel, "Path", PATH_SHAPE_OPTIONS, path.shape);
+  const repeatSelect = createSelect(panel, "Repeat", PATH_REPEAT_OPTIONS, path.repeat);
+
+  const waypointCount = createRow(panel, "Points", document.createElement("span"));
+  const waypointRow = waypointCount.parentNode;
+  createButton(waypointRow, "Undo", () => {
+    path.points.pop();
+    onPathEdit(src);
+    updateWaypointCount(src);
+    updateLabels();
+  });
+  createButton(waypointRow, "Clear", () => {
+    path.points = [];
+    updatePathCurve(path);
+    updateWaypointCount(src);
+    clearSnapshots();
+    if (src.motion === "path") setSourceMotion(src, "off");
+    updateLabels();
+  });
 
-const labelsDiv = document.getElementById("labels");
+  src.ui = { panel, x, y, z, motionSelect, waypointCount };
+  updateWaypointCount(src);
+  sourceList.appendChild(panel);
 
-let densitySliderVal = Number(densitySlider.value);
-let freq1SliderVal = Number(freq1Slider.value);
-let freq2SliderVal = Number(freq2Slider.value);
-let freq3SliderVal = Number(freq3Slider.value);
+  enabledToggle.addEventListener("change", () => {
+    src.enabled = enabledToggle.checked;
+    src.mesh.visible = src.enabled;
+    updateLabels();
+  });
 
-let freq1 = mapSliderToFrequency(freq1SliderVal);
-let freq2 = mapSliderToFrequency(freq2SliderVal);
-let freq3 = mapSliderToFrequency(freq3SliderVal);
+  freqSlider.addEventListener("input", () => {
+    src.freqSliderVal = Number(freqSlider.value);
+    src.freq = mapSliderToFrequency(src.freqSliderVal);
+    updateLabels();
+  });
 
+  txSlider.addEventListener("input", () => { src.txDbm = Number(txSlider.value); updateLabels(); });
+  gainSlider.addEventListener("input", () => { src.gainDbi = Number(gainSlider.value); updateLabels(); });
 
-function updateAutoSource(dt, pos, vel) {
-  // How much random steering per second
-  const wanderStrength = 1.5;    // tweakable
-  const maxSpeed = 20.0;          // units per second, tweakable
+  x.addEventListener("input", () => { updateSourceFromSliders(src); updateLabels(); });
+  y.addEventListener("input", () => { updateSourceFromSliders(src); updateLabels(); });
+  z.addEventListener("input", () => { updateSourceFromSliders(src); updateLabels(); });
 
-  // Smoothly perturb the velocity each frame
-  vel.x += (Math.random() - 0.5) * wanderStrength * dt;
-  vel.y += (Math.random() - 0.5) * wanderStrength * dt;
-  vel.z += (Math.random() - 0.5) * wanderStrength * dt;
+  motionSelect.addEventListener("change", () => {
+    src.motion = motionSelect.value;
+    if (src.motion === "path") restartPath(src);
+    updateLabels();
+  });
 
-  // Clamp speed for smoothness
-  const speed = vel.length();
-  if (speed > maxSpeed) {
-    vel.multiplyScalar(maxSpeed / speed);
-  }
+  speedSlider.addEventListener("input", () => { path.speed = Number(speedSlider.value); updateLabels(); });
 
-  // Move the source
-  pos.addScaledVector(vel, dt);
+  shapeSelect.addEventListener("change", () => {
+    path.shape = shapeSelect.value;
+    onPathEdit(src);
+    updateLabels();
+  });
 
-  // Bounce inside bounds
-  ["x", "y", "z"].forEach((axis) => {
-    const min = boundsMin[axis];
-    const max = boundsMax[axis];
-    if (pos[axis] < min) {
-      pos[axis] = min;
-      vel[axis] = Math.abs(vel[axis]);
-    } else if (pos[axis] > max) {
-      pos[axis] = max;
-      vel[axis] = -Math.abs(vel[axis]);
-    }
+  repeatSelect.addEventListener("change", () => {
+    path.repeat = repeatSelect.value;
+    onPathEdit(src);
+    updateLabels();
   });
-}
 
-// Inverse mapping: world → slider value [-100, 100]
-function mapWorldToSlider(v, min, max) {
-  const t = (v - min) / (max - min); // 0..1
-  return t * 200 - 100;              // 0→-100, 0.5→0, 1→100
+  wireWaveformControls(waveControls, src.wave);
+  wireAntennaControls(antennaControls, antenna, src.lobe);
 }
 
+// Everything needed to recreate src as a new source (see createSource)
+function sourceSettings(src) {
+  return {
+    freqSliderVal: src.freqSliderVal,
+    txDbm: src.txDbm,
+    gainDbi: src.gainDbi,
+    motion: src.motion,
+    path: src.path,
+    wave: { ...src.wave },
+    antenna: src.antenna,
+    slider: { x: Number(src.ui.x.value), y: Number(src.ui.y.value), z: Number(src.ui.z.value) }
+  };
+}
 
-const materialSelect = document.getElementById("materialSelect");
-if (materialSelect) {
-  // set default
-  materialSelect.value = currentMaterialMode;
+// New source with its panel; null once MAX_SOURCES are in use
+function addSource(settings = {}) {
+  const src = createSource(settings);
+  if (!src) return null;
+
+  buildSourcePanel(src, settings.slider ?? { x: 0, y: 0, z: 0 });
+  updateSourceFromSliders(src);
+  resetSourceMotion(src);
+  fillSourceHistory(src.slot, src.pos);
+  updateAddSourceButton();
+  clearSnapshots();
+  return src;
+}
 
-  materialSelect.addEventListener("change", (event) => {
-    const mode = event.target.value;
-    applyMaterialMode(mode);
-  });
+function updateWaypointCount(src) {
+  src.ui.waypointCount.textContent = src.path.points.length + " waypoints";
 }
 
+function updateAddSourceButton() {
+  addSourceButton.disabled = sources.length >= MAX_SOURCES;
+}
 
 function updateFieldCenterFromSliders() {
   fieldCenter.set(
@@ -716,6 +4452,7 @@ function updateFieldCenterFromSliders() {
     mapSliderToBounds(Number(fieldPosYSlider.value), boundsMin.y, boundsMax.y),
     mapSliderToBounds(Number(fieldPosZSlider.value), boundsMin.z, boundsMax.z)
   );
+  materialsDirty = true;
 }
 
 function updateFieldSizeFromSliders() {
@@ -724,13 +4461,108 @@ function updateFieldSizeFromSliders() {
     Number(fieldSizeYSlider.value),
     Number(fieldSizeZSlider.value)
   );
+  updateSolverGeometry();
 }
 
-function updateLabels() {
-  const MHz1 = freq1 / 1e6;
-  const MHz2 = freq2 / 1e6;
-  const MHz3 = freq3 / 1e6;
+// "λ = …" for a source: what is actually drawn, with the real value when it differs
+function lambdaLabel(f) {
+  const phys = getPhysicalLambdaFromFrequency(f);
+  const physText = phys >= 1000 ? (phys / 1000).toFixed(2) + " km" : phys.toPrecision(3) + " m";
+
+  if (lambdaMode !== "physical") {
+    const drawn = simMode === "fdtd" ? getSolverLambdaFromFrequency(f) : getVisualLambdaFromFrequency(f);
+    return "λ drawn " + drawn.toFixed(2) + " units (real " + physText + ")";
+  }
+  if (simMode === "fdtd") {
+    return "λ " + physText + (isSolverLambdaClamped(f)
+      ? ", drawn " + getSolverLambdaFromFrequency(f).toFixed(2) + " units (grid limit)"
+      : "");
+  }
+  return "λ " + physText + (isLambdaUnresolved(f) ? " (below grid, envelope)" : "");
+}
+
+function waveformLabel(wave) {
+  const rate = wave.rate.toFixed(2) + " Hz";
+  switch (wave.type) {
+    case "pulse": return "pulse every " + (1 / wave.rate).toFixed(1) + " s, " + Math.round(wave.depth * 100) + "% duty";
+    case "chirp": return "chirp f → " + (1 + wave.depth).toFixed(2) + " f over " + (1 / wave.rate).toFixed(1) + " s";
+    case "am": return "AM " + rate + ", m = " + wave.depth.toFixed(2);
+    case "fm": return "FM " + rate + ", β = " + (5 * wave.depth).toFixed(1);
+    default: return "CW";
+  }
+}
+
+function antennaLabel(antenna) {
+  const name = antenna.type === "file" ? (antenna.patternName || "no file loaded") : antenna.type;
+  let text = antenna.type === "isotropic" && antenna.layout === "single"
+    ? "isotropic"
+    : name + ", az " + antenna.azimuth + "°, tilt " + antenna.tilt + "°, roll " + antenna.roll + "°";
+
+  if (antenna.layout !== "single") {
+    const [nz, ny] = arrayShape(antenna);
+    text += "<br>&nbsp;&nbsp;array " + nz + " × " + ny + " at " + antenna.spacing + " λ, " +
+      (10 * Math.log10(nz * ny)).toFixed(1) + " dB array gain, beam az " +
+      antenna.steerAz + "° el " + antenna.steerEl + "°";
+  }
+  return text;
+}
+
+function motionLabel(src) {
+  if (src.motion === "wander") return "random wander";
+  if (src.motion === "off") return "static";
+
+  const path = src.path;
+  if (!path.curve) return "path, " + path.points.length + " waypoints (needs 2)";
+  return path.shape + " path, " + path.points.length + " waypoints, " +
+    path.curve.getLength().toFixed(0) + " units, " + path.repeat + " at " + path.speed + " units/s";
+}
+
+function coverageLabel() {
+  const note = simMode === "fdtd" ? ", analytic model" : "";
+  switch (coverageMetric) {
+    case "amplitude": return "live amplitude" + note;
+    case "power": return "received power on the Display legend" + note;
+    default: return "mean intensity, −" + INTENSITY_RANGE_DB + " … 0 dB re unit amplitude" + note;
+  }
+}
+
+function intensityLabel() {
+  const range = ", −" + INTENSITY_RANGE_DB + " … 0 dB re unit amplitude";
+  if (intensityAverage === "accumulated") {
+    return "mean intensity" + range + ", running mean over " + INTENSITY_AVERAGE_FRAMES + " frames" +
+      (simMode === "fdtd" ? " of the FDTD grid" : "");
+  }
+  return "mean intensity" + range + ", analytic (same-frequency sources coherent)" +
+    (simMode === "fdtd" ? ", analytic model" : "");
+}
 
+// Absorbing layer as the solver uses it, capped at a quarter of each axis
+function pmlLabel() {
+  const pml = simMaterial.uniforms.u_pmlCells.value;
+  return pml.x === pml.y && pml.y === pml.z
+    ? pml.x + " cells"
+    : pml.x + " / " + pml.y + " / " + pml.z + " cells (X / Y / Z)";
+}
+
+// Per-source lines of the label panel
+function sourceLabel(src) {
+  if (!src.enabled) return "<br>" + src.name + ": off";
+
+  const MHz = src.freq / 1e6;
+  return "<br>" + src.name + " freq: " + src.freq.toExponential(3) + " Hz (" + MHz.toFixed(3) + " MHz)" +
+    "<br>" + src.name + " " + lambdaLabel(src.freq) +
+    "<br>" + src.name + " EIRP: " + (src.txDbm + src.gainDbi) + " dBm (" +
+    src.txDbm + " dBm, " + src.gainDbi + " dBi)" +
+    "<br>" + src.name + " antenna: " + antennaLabel(src.antenna) +
+    "<br>" + src.name + " waveform: " + waveformLabel(src.wave) +
+    "<br>" + src.name + " motion: " + motionLabel(src) +
+    "<br>" + src.name + " pos: (" +
+    src.pos.x.toFixed(2) + ", " +
+    src.pos.y.toFixed(2) + ", " +
+    src.pos.z.toFixed(2) + ")";
+}
+
+function updateLabels() {
   labelsDiv.innerHTML =
     "Field center: (" +
     fieldCenter.x.toFixed(2) + ", " +
@@ -742,21 +4574,38 @@ function updateLabels() {
     fieldSize.z.toFixed(1) + ")" +
     "<br>Grid: " + resX + " × " + resY + " × " + resZ +
     " ≈ " + totalPoints.toLocaleString() + " points" +
-    "<br>Source 1 freq: " + freq1.toExponential(3) + " Hz (" + MHz1.toFixed(3) + " MHz)" +
-    "<br>Source 1 pos: (" +
-    source1Pos.x.toFixed(2) + ", " +
-    source1Pos.y.toFixed(2) + ", " +
-    source1Pos.z.toFixed(2) + ")" +
-    "<br>Source 2 freq: " + freq2.toExponential(3) + " Hz (" + MHz2.toFixed(3) + " MHz)" +
-    "<br>Source 2 pos: (" +
-    source2Pos.x.toFixed(2) + ", " +
-    source2Pos.y.toFixed(2) + ", " +
-    source2Pos.z.toFixed(2) + ")";
-  "<br>Source 3 freq: " + freq3.toExponential(3) + " Hz (" + MHz3.toFixed(3) + " MHz)" +
-    "<br>Source 3 pos: (" +
-    source3Pos.x.toFixed(2) + ", " +
-    source3Pos.y.toFixed(2) + ", " +
-    source3Pos.z.toFixed(2) + ")";
+    "<br>Mode: " + (simMode === "fdtd"
+      ? "FDTD " + solverRes.x + " × " + solverRes.y + " × " + solverRes.z +
+        ", cell (" + solverCell.x.toFixed(2) + ", " + solverCell.y.toFixed(2) + ", " + solverCell.z.toFixed(2) + ")" +
+        "<br>Boundary: " + (pmlCells > 0 ? "absorbing, " + pmlLabel() : "reflecting")
+      : "analytic") +
+    "<br>Wavelength: " + (lambdaMode === "physical"
+      ? "physical, 1 unit = " + metersPerUnit + " m, time slowed"
+      : "visual (not to scale)") +
+    (simMode !== "fdtd" && fieldShowsEnvelope()
+      ? "<br>Display: RMS envelope for " +
+        sources.filter((src) => src.enabled && isLambdaUnresolved(src.freq)).map((src) => src.name).join(", ") +
+        " (point spacing " + getPointSpacing().toFixed(2) + ")"
+      : "") +
+    (displayMode === "power"
+      ? "<br>Display: received power (peak envelope), Friis + wall loss, 0 dBi receiver"
+      : "") +
+    (displayMode === "intensity" ? "<br>Display: " + intensityLabel() : "") +
+    (currentMaterialMode === "coverage" ? "<br>Facades: " + coverageLabel() : "") +
+    (slices.length ? "<br>Slices: " + slices.length + (hidePoints ? ", points hidden" : "") : "") +
+    "<br>Occlusion: " + (occlusionEnabled
+      ? wallLossDb.toFixed(1) + " dB/unit, " + (diffractionEnabled ? "LOS + diffraction" : "LOS only")
+      : "off") +
+    (occlusionEnabled && !occlusionTexture ? " (waiting for model)" : "") +
+    (occlusionEnabled && occlusionTexture
+      ? ", grid " + occlusionTexture.image.width + " × " + occlusionTexture.image.height + " × " +
+        occlusionTexture.image.depth + ", voxel " + occlusionVoxel.toFixed(2)
+      : "") +
+    "<br>Reflections: " + (reflectionsEnabled
+      ? facadeCount + " facades, Γ = " + reflectionCoeff.toFixed(2) + (simMode === "fdtd" ? " (analytic/dBm only)" : "")
+      : "off") +
+    "<br>Sources: " + sources.filter((src) => src.enabled).length + " of " + sources.length + " enabled" +
+    sources.map(sourceLabel).join("");
 }
 
 // --- listeners ---
@@ -766,63 +4615,764 @@ densitySlider.addEventListener("input", () => {
   updateLabels();
 });
 
-fieldPosXSlider.addEventListener("input", () => { updateFieldCenterFromSliders(); buildPointCloud(); updateLabels(); });
-fieldPosYSlider.addEventListener("input", () => { updateFieldCenterFromSliders(); buildPointCloud(); updateLabels(); });
-fieldPosZSlider.addEventListener("input", () => { updateFieldCenterFromSliders(); buildPointCloud(); updateLabels(); });
+fieldPosXSlider.addEventListener("input", () => { updateFieldCenterFromSliders(); resetSolver(); buildPointCloud(); updateLabels(); });
+fieldPosYSlider.addEventListener("input", () => { updateFieldCenterFromSliders(); resetSolver(); buildPointCloud(); updateLabels(); });
+fieldPosZSlider.addEventListener("input", () => { updateFieldCenterFromSliders(); resetSolver(); buildPointCloud(); updateLabels(); });
+
+fieldSizeXSlider.addEventListener("input", () => { updateFieldSizeFromSliders(); resetSolver(); buildPointCloud(); updateLabels(); });
+fieldSizeYSlider.addEventListener("input", () => { updateFieldSizeFromSliders(); resetSolver(); buildPointCloud(); updateLabels(); });
+fieldSizeZSlider.addEventListener("input", () => { updateFieldSizeFromSliders(); resetSolver(); buildPointCloud(); updateLabels(); });
+
+// Resolution changes reallocate the GPU volumes, so only act once the slider is released
+function updateSolverResFromSliders() {
+  solverRes.set(
+    Number(solverResXSlider.value),
+    Number(solverResYSlider.value),
+    Number(solverResZSlider.value)
+  );
+  updateSolverGeometry();
+  allocateSolver();
+  updateLabels();
+}
+
+solverResXSlider.addEventListener("change", updateSolverResFromSliders);
+solverResYSlider.addEventListener("change", updateSolverResFromSliders);
+solverResZSlider.addEventListener("change", updateSolverResFromSliders);
+
+simModeSelect.addEventListener("change", () => {
+  simMode = simModeSelect.value;
+  resetSolver();
+  updateLabels();
+});
+
+pmlSlider.addEventListener("input", () => {
+  pmlCells = Number(pmlSlider.value);
+  updateSolverBoundary();
+  updateLabels();
+});
+
+lambdaModeSelect.addEventListener("change", () => {
+  lambdaMode = lambdaModeSelect.value;
+  resetSolver();
+  updateLabels();
+});
+
+metersPerUnitInput.addEventListener("change", () => {
+  const v = Number(metersPerUnitInput.value);
+  if (isFinite(v) && v > 0) metersPerUnit = v;
+  metersPerUnitInput.value = metersPerUnit;
+  resetSolver();
+  updateLabels();
+});
+
+// Antenna controls of a source panel (see buildSourcePanel)
+function wireAntennaControls(controls, antenna, lobe) {
+  const {
+    select, fileInput, azimuthSlider, tiltSlider, rollSlider,
+    layoutSelect, elementsSlider, spacingSlider, steerAzSlider, steerElSlider
+  } = controls;
+
+  const sync = () => {
+    antenna.type = select.value;
+    antenna.azimuth = Number(azimuthSlider.value);
+    antenna.tilt = Number(tiltSlider.value);
+    antenna.roll = Number(rollSlider.value);
+    antenna.layout = layoutSelect.value;
+    antenna.elements = Number(elementsSlider.value);
+    antenna.spacing = Number(spacingSlider.value);
+    antenna.steerAz = Number(steerAzSlider.value);
+    antenna.steerEl = Number(steerElSlider.value);
+    updateAntennaFrame(antenna);
+    updateAntennaLobe(antenna, lobe);
+  };
+  const onInput = () => { sync(); updateLabels(); };
+
+  select.addEventListener("change", onInput);
+  azimuthSlider.addEventListener("input", onInput);
+  tiltSlider.addEventListener("input", onInput);
+  rollSlider.addEventListener("input", onInput);
+  layoutSelect.addEventListener("change", onInput);
+  elementsSlider.addEventListener("input", onInput);
+  spacingSlider.addEventListener("input", onInput);
+  steerAzSlider.addEventListener("input", onInput);
+  steerElSlider.addEventListener("input", onInput);
+
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      const pattern = parseMsiPattern(text);
+      if (!pattern) {
+        console.warn("No HORIZONTAL/VERTICAL pattern found in", file.name);
+        return;
+      }
+      setAntennaPattern(antenna, pattern, file.name);
+      select.value = "file";
+      onInput();
+      clearSnapshots();
+    });
+  });
+
+  sync();
+}
+
+// Waveform controls of a source panel (see buildSourcePanel)
+function wireWaveformControls(controls, wave) {
+  const { select, rateSlider, depthSlider } = controls;
+
+  const sync = () => {
+    wave.type = select.value;
+    wave.rate = Number(rateSlider.value);
+    wave.depth = Number(depthSlider.value);
+  };
+
+  select.addEventListener("change", () => { sync(); updateLabels(); });
+  rateSlider.addEventListener("input", () => { sync(); updateLabels(); });
+  depthSlider.addEventListener("input", () => { sync(); updateLabels(); });
+  sync();
+}
+
+// Any edit in a source panel changes the setup the snapshots were taken with
+sourceList.addEventListener("input", clearSnapshots);
+sourceList.addEventListener("change", clearSnapshots);
+
+addSourceButton.addEventListener("click", () => {
+  addSource();
+  updateLabels();
+});
+
+// Legend range; keep at least 1 dB between the ends, with the Max thumb
+// pushed along so it shows the range in use
+function updatePowerRangeFromSliders() {
+  powerMinDbm = Number(powerMinSlider.value);
+  powerMaxDbm = Math.max(Number(powerMaxSlider.value), powerMinDbm + 1);
+  powerMaxSlider.value = String(powerMaxDbm);
+  updatePowerLegend();
+}
+
+function updatePowerLegend() {
+  const coveragePower = currentMaterialMode === "coverage" && coverageMetric === "power";
+  const slicePower = slices.some((slice) => slice.metric === "power");
+  powerLegend.style.display = displayMode === "power" || coveragePower || slicePower ? "block" : "none";
+  powerLegendMin.textContent = powerMinDbm.toFixed(0);
+  powerLegendMid.textContent = ((powerMinDbm + powerMaxDbm) / 2).toFixed(0) + " dBm";
+  powerLegendMax.textContent = powerMaxDbm.toFixed(0);
+}
+
+displayModeSelect.addEventListener("change", () => {
+  displayMode = displayModeSelect.value;
+  intensityAverageSelect.disabled = displayMode !== "intensity";
+  resetIntensityAverage();
+  updatePowerLegend();
+  updateLabels();
+});
+
+intensityAverageSelect.addEventListener("change", () => {
+  intensityAverage = intensityAverageSelect.value;
+  resetIntensityAverage();
+  updateLabels();
+});
+intensityAverageSelect.disabled = true;
+
+powerMinSlider.addEventListener("input", updatePowerRangeFromSliders);
+powerMaxSlider.addEventListener("input", updatePowerRangeFromSliders);
+
+occlusionToggle.addEventListener("change", () => {
+  occlusionEnabled = occlusionToggle.checked;
+  updateLabels();
+});
+
+wallLossSlider.addEventListener("input", () => {
+  wallLossDb = Number(wallLossSlider.value);
+  updateLabels();
+});
+
+diffractionToggle.addEventListener("change", () => {
+  diffractionEnabled = diffractionToggle.checked;
+  updateLabels();
+});
+
+dopplerToggle.addEventListener("change", () => {
+  dopplerEnabled = dopplerToggle.checked;
+});
+
+function updateProbeFromSliders() {
+  probePos.set(
+    mapSliderToBounds(Number(probeXSlider.value), boundsMin.x, boundsMax.x),
+    mapSliderToBounds(Number(probeYSlider.value), boundsMin.y, boundsMax.y),
+    mapSliderToBounds(Number(probeZSlider.value), boundsMin.z, boundsMax.z)
+  );
+  probeMesh.position.copy(probePos);
+}
+
+probeXSlider.addEventListener("input", updateProbeFromSliders);
+probeYSlider.addEventListener("input", updateProbeFromSliders);
+probeZSlider.addEventListener("input", updateProbeFromSliders);
+
+// Frequencies heard at the probe, refreshed a few times a second from animate()
+function updateProbeReadout(t) {
+  const line = (src) => {
+    const name = src.name;
+    if (!dopplerEnabled) return name + ": " + (src.freq / 1e6).toFixed(3) + " MHz (Doppler off)";
+    const d = dopplerAt(src.slot, src.pos, probePos, src.freq, t);
+    const shift = d.realShift;
+    return name + ": ×" + d.ratio.toFixed(3) + " drawn, real " +
+      (shift >= 0 ? "+" : "") + (Math.abs(shift) >= 1000 ? (shift / 1000).toFixed(2) + " kHz" : shift.toFixed(1) + " Hz");
+  };
+
+  const enabled = sources.filter((src) => src.enabled);
+  probeReadout.innerHTML = enabled.length ? enabled.map(line).join("<br>") : "No sources enabled";
+}
+
+// Panel for one probe, appended to #probeList: time series, spectrum and the
+// contributing sources, refreshed by updateProbePanels()
+function buildProbePanel(probe) {
+  const panel = document.createElement("div");
+  panel.className = "block";
+
+  const title = document.createElement("div");
+  title.className = "panel-title";
+  title.textContent = probe.name;
+  panel.appendChild(title);
+
+  const position = createRow(panel, "At", document.createElement("span"));
+  position.textContent = "(" + probe.pos.toArray().map((v) => v.toFixed(0)).join(", ") + ")";
+  createButton(position.parentNode, "Remove", () => {
+    removeProbe(probe);
+    panel.remove();
+    updateAddProbeButton();
+  });
+
+  const series = createPlot(panel, 48);
+  const spectrum = createPlot(panel, 40);
+  const readout = document.createElement("div");
+  panel.appendChild(readout);
+
+  probe.ui = { panel, series, spectrum, readout };
+  probeList.appendChild(panel);
+}
+
+function createPlot(parent, height) {
+  const canvas = document.createElement("canvas");
+  canvas.className = "probe-plot";
+  canvas.width = 280;
+  canvas.height = height;
+  parent.appendChild(canvas);
+
+  const ctx = canvas.getContext("2d");
+  ctx.font = "9px monospace";
+  return ctx;
+}
+
+// values across the plot, y(v) in pixels
+function strokeCurve(ctx, values, y) {
+  const w = ctx.canvas.width;
+  ctx.beginPath();
+  values.forEach((v, i) => {
+    const x = i / (values.length - 1) * w;
+    if (i === 0) ctx.moveTo(x, y(v));
+    else ctx.lineTo(x, y(v));
+  });
+  ctx.stroke();
+}
+
+// Field over the last PROBE_WINDOW seconds, newest on the right, scaled to its largest swing
+function drawProbeSeries(ctx, series) {
+  const { width: w, height: h } = ctx.canvas;
+  const peak = series.reduce((m, v) => Math.max(m, Math.abs(v)), 1e-6);
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.strokeStyle = "rgba(0, 0, 255, 0.6)";
+  strokeCurve(ctx, [0, 0], () => h / 2);
+  ctx.strokeStyle = "red";
+  strokeCurve(ctx, series, (v) => (0.5 - 0.45 * v / peak) * h);
+
+  ctx.fillStyle = "red";
+  ctx.fillText("±" + peak.toFixed(3) + ", " + PROBE_WINDOW + " s", 2, 9);
+}
+
+// Spectrum in dB, 60 dB below its peak at the bottom, 0 … Nyquist across
+function drawProbeSpectrum(ctx, spectrum) {
+  const { width: w, height: h } = ctx.canvas;
+  const peak = spectrum.reduce((m, v) => Math.max(m, v), 1e-12);
+  const RANGE_DB = 60;
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.strokeStyle = "red";
+  strokeCurve(ctx, spectrum, (v) => {
+    const db = 20 * Math.log10(Math.max(v / peak, 1e-12));
+    return Math.min(-db / RANGE_DB, 1) * (h - 2) + 1;
+  });
+
+  ctx.fillStyle = "red";
+  ctx.fillText("0 – " + (spectrum.length / PROBE_WINDOW).toFixed(0) + " Hz", 2, h - 2);
+}
+
+function dbmText(mw) {
+  return (10 * Math.log10(Math.max(mw, 1e-30))).toFixed(1) + " dBm";
+}
+
+// Degrees in (-180, 180]
+function wrapDegrees(rad) {
+  const d = THREE.MathUtils.radToDeg(rad) % 360;
+  return d > 180 ? d - 360 : d <= -180 ? d + 360 : d;
+}
+
+// Summary line, then one line per source with its amplitude and phase against
+// the strongest one. Only sources on the same frequency hold a steady phase
+// difference, so those are also summed as phasors to tell build-up from nulls.
+function probeReadoutHtml(probe) {
+  const c = probe.contributions;
+  if (!c.length) return "No sources enabled";
+
+  let peakBin = 1;
+  for (let k = 2; k < probe.spectrum.length; k++) {
+    if (probe.spectrum[k] > probe.spectrum[peakBin]) peakBin = k;
+  }
+  const rms = Math.sqrt(probe.series.reduce((s, v) => s + v * v, 0) / PROBE_SAMPLES);
+  const lines = [
+    "peak " + (peakBin / PROBE_WINDOW).toFixed(2) + " Hz, rms " + rms.toFixed(3) + ", " +
+    dbmText(c.reduce((s, x) => s + x.mw, 0))
+  ];
+
+  const ref = c.reduce((a, b) => (b.amp > a.amp ? b : a));
+  for (const x of c) {
+    const phase = x === ref ? "ref"
+      : x.src.freq !== ref.src.freq ? "drifting (other freq)"
+      : (wrapDegrees(x.phase - ref.phase) >= 0 ? "+" : "") + wrapDegrees(x.phase - ref.phase).toFixed(0) + "°";
+    lines.push(x.src.name + ": " + x.amp.toFixed(3) + ", " + phase + ", " + dbmText(x.mw));
+  }
+
+  const coherent = c.filter((x) => x.src.freq === ref.src.freq);
+  if (coherent.length > 1) {
+    const re = coherent.reduce((s, x) => s + x.amp * Math.cos(x.phase), 0);
+    const im = coherent.reduce((s, x) => s + x.amp * Math.sin(x.phase), 0);
+    const sum = coherent.reduce((s, x) => s + x.amp, 0);
+    const ratio = Math.hypot(re, im) / Math.max(sum, 1e-12);
+    lines.push("same-freq sum " + Math.hypot(re, im).toFixed(3) + " of " + sum.toFixed(3) +
+      (ratio < 0.5 ? " (destructive)" : " (constructive)"));
+  }
+  return lines.join("<br>");
+}
+
+function updateProbePanels() {
+  for (const probe of probes) {
+    drawProbeSeries(probe.ui.series, probe.series);
+    drawProbeSpectrum(probe.ui.spectrum, probe.spectrum);
+    probe.ui.readout.innerHTML = probeReadoutHtml(probe) +
+      (simMode === "fdtd" ? "<br>(analytic model, not the FDTD grid)" : "");
+  }
+}
 
-fieldSizeXSlider.addEventListener("input", () => { updateFieldSizeFromSliders(); buildPointCloud(); updateLabels(); });
-fieldSizeYSlider.addEventListener("input", () => { updateFieldSizeFromSliders(); buildPointCloud(); updateLabels(); });
-fieldSizeZSlider.addEventListener("input", () => { updateFieldSizeFromSliders(); buildPointCloud(); updateLabels(); });
+// New probe with its panel; null once MAX_PROBES are in use
+function addProbe(pos) {
+  const probe = createProbe(pos);
+  if (!probe) return null;
 
-freq1Slider.addEventListener("input", () => {
-  freq1SliderVal = Number(freq1Slider.value);
-  freq1 = mapSliderToFrequency(freq1SliderVal);
+  buildProbePanel(probe);
+  updateAddProbeButton();
+  return probe;
+}
+
+function updateAddProbeButton() {
+  addProbeButton.disabled = probes.length >= MAX_PROBES;
+}
+
+addProbeButton.addEventListener("click", () => addProbe(probePos));
+
+// Panel for one slice, appended to #sliceList
+function buildSlicePanel(slice) {
+  const panel = document.createElement("div");
+  panel.className = "block";
+
+  const title = document.createElement("div");
+  title.className = "panel-title";
+  title.textContent = slice.name;
+  panel.appendChild(title);
+
+  const axisSelect = createSelect(panel, "Normal", SLICE_AXIS_OPTIONS, slice.axis);
+  createButton(axisSelect.parentNode, "Remove", () => {
+    removeSlice(slice);
+    panel.remove();
+    updateAddSliceButton();
+    updatePowerLegend();
+    updateLabels();
+  });
+  const offsetSlider = createSlider(panel, "Offset", -100, 100, slice.offset, 1);
+  const azimuthSlider = createSlider(panel, "Azimuth", -180, 180, slice.azimuth, 1);
+  const elevationSlider = createSlider(panel, "Elev", -90, 90, slice.elevation, 1);
+  const metricSelect = createSelect(panel, "Show", METRIC_OPTIONS, slice.metric);
+  const opacitySlider = createSlider(panel, "Opacity", 0.1, 1, slice.opacity, 0.05);
+
+  slice.ui = { panel };
+  sliceList.appendChild(panel);
+
+  // the angles only steer a free plane
+  const updateFreeRows = () => {
+    const free = slice.axis === "free";
+    azimuthSlider.disabled = !free;
+    elevationSlider.disabled = !free;
+  };
+  updateFreeRows();
+
+  axisSelect.addEventListener("change", () => {
+    slice.axis = axisSelect.value;
+    updateFreeRows();
+    updateSliceTransform(slice);
+  });
+  offsetSlider.addEventListener("input", () => {
+    slice.offset = Number(offsetSlider.value);
+    updateSliceTransform(slice);
+  });
+  azimuthSlider.addEventListener("input", () => {
+    slice.azimuth = Number(azimuthSlider.value);
+    updateSliceTransform(slice);
+  });
+  elevationSlider.addEventListener("input", () => {
+    slice.elevation = Number(elevationSlider.value);
+    updateSliceTransform(slice);
+  });
+  metricSelect.addEventListener("change", () => {
+    slice.metric = metricSelect.value;
+    slice.mesh.material.uniforms.uMetric.value = FIELD_METRICS.indexOf(slice.metric);
+    updatePowerLegend();
+  });
+  opacitySlider.addEventListener("input", () => {
+    slice.opacity = Number(opacitySlider.value);
+    slice.mesh.material.uniforms.uOpacity.value = slice.opacity;
+  });
+}
+
+// New slice with its panel; null once MAX_SLICES are in use
+function addSlice(settings) {
+  const slice = createSlice(settings);
+  if (!slice) return null;
+
+  buildSlicePanel(slice);
+  updateAddSliceButton();
+  return slice;
+}
+
+function updateAddSliceButton() {
+  addSliceButton.disabled = slices.length >= MAX_SLICES;
+}
+
+addSliceButton.addEventListener("click", () => {
+  addSlice();
+  updateLabels();
+});
+
+hidePointsToggle.addEventListener("change", () => {
+  hidePoints = hidePointsToggle.checked;
+  if (points) points.visible = !hidePoints;
   updateLabels();
 });
 
-freq2Slider.addEventListener("input", () => {
-  freq2SliderVal = Number(freq2Slider.value);
-  freq2 = mapSliderToFrequency(freq2SliderVal);
+function updateIsoReadout() {
+  if (isoMode === "off") {
+    isoReadout.textContent = "";
+    return;
+  }
+  const levels = isoMode === "rms"
+    ? "RMS " + isoLobe.toFixed(2) + " (red) / " + isoNull.toFixed(2) + " (blue)"
+    : "±" + isoLobe.toFixed(2) + " (red / blue)";
+  isoReadout.textContent = levels + ", " + isoTriangles.toLocaleString() + " triangles" +
+    (isoCapped ? " (capped, try a level further from the noise)" : "") +
+    (isoMode === "rms" && simMode === "fdtd" ? ", analytic model" : "");
+}
+
+isoModeSelect.addEventListener("change", () => {
+  isoMode = isoModeSelect.value;
+  isoNullSlider.disabled = isoMode !== "rms";
+  isoDirty = true;
+});
+isoLobeSlider.addEventListener("input", () => { isoLobe = Number(isoLobeSlider.value); isoDirty = true; });
+isoNullSlider.addEventListener("input", () => { isoNull = Number(isoNullSlider.value); isoDirty = true; });
+isoOpacitySlider.addEventListener("input", () => {
+  isoOpacity = Number(isoOpacitySlider.value);
+  for (const mesh of isoMeshes) mesh.material.opacity = isoOpacity;
+});
+isoNullSlider.disabled = true;
+
+// Transfer function editor: the color strip along the top, opacity as a
+// polyline below it; drag a point to move it (the end points only move in
+// opacity), click empty space to add one, then pick its color
+const TRANSFER_STRIP = 12; // px of color strip
+const TRANSFER_HANDLE = 5; // px pick radius
+
+let transferSelected = 0;
+let transferDrag = null;
+
+function transferPointXY(p) {
+  const h = transferCanvas.height - TRANSFER_STRIP;
+  return { x: p.u * transferCanvas.width, y: TRANSFER_STRIP + (1 - p.alpha) * h };
+}
+
+function drawTransferEditor() {
+  const ctx = transferCanvas.getContext("2d");
+  const w = transferCanvas.width;
+  const h = transferCanvas.height;
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, w, h);
+
+  const sample = { color: new THREE.Color(), alpha: 0 };
+  for (let x = 0; x < w; x++) {
+    transferAt(x / (w - 1), sample);
+    ctx.fillStyle = "#" + sample.color.getHexString();
+    ctx.fillRect(x, 0, 1, TRANSFER_STRIP);
+  }
+
+  // zero field sits in the middle for the signed amplitude
+  if (volumeMode !== "rms") {
+    ctx.strokeStyle = "rgba(0, 0, 255, 0.6)";
+    ctx.beginPath();
+    ctx.moveTo(w / 2, TRANSFER_STRIP);
+    ctx.lineTo(w / 2, h);
+    ctx.stroke();
+  }
+
+  ctx.strokeStyle = "red";
+  ctx.beginPath();
+  transferPoints.forEach((p, i) => {
+    const { x, y } = transferPointXY(p);
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  transferPoints.forEach((p, i) => {
+    const { x, y } = transferPointXY(p);
+    ctx.fillStyle = p.color;
+    ctx.fillRect(x - 3, y - 3, 6, 6);
+    ctx.strokeStyle = i === transferSelected ? "white" : "red";
+    ctx.strokeRect(x - 3, y - 3, 6, 6);
+  });
+
+  const left = volumeMode === "rms" ? "0" : (-volumeRange).toFixed(2);
+  ctx.fillStyle = "red";
+  ctx.font = "9px monospace";
+  ctx.fillText(left, 2, h - 2);
+  ctx.fillText("+" + volumeRange.toFixed(2), w - 30, h - 2);
+}
+
+function onTransferChange() {
+  updateTransferTexture();
+  volumeDirty = true;
+  transferSelected = Math.min(transferSelected, transferPoints.length - 1);
+  transferColorInput.value = transferPoints[transferSelected].color;
+  transferRemoveButton.disabled = transferSelected === 0 || transferSelected === transferPoints.length - 1;
+  drawTransferEditor();
+}
+
+function transferEventPoint(event) {
+  const rect = transferCanvas.getBoundingClientRect();
+  const x = (event.clientX - rect.left) / Math.max(rect.width, 1) * transferCanvas.width;
+  const y = (event.clientY - rect.top) / Math.max(rect.height, 1) * transferCanvas.height;
+  const h = transferCanvas.height - TRANSFER_STRIP;
+  return {
+    x, y,
+    u: THREE.MathUtils.clamp(x / transferCanvas.width, 0, 1),
+    alpha: THREE.MathUtils.clamp(1 - (y - TRANSFER_STRIP) / h, 0, 1)
+  };
+}
+
+transferCanvas.addEventListener("pointerdown", (event) => {
+  const e = transferEventPoint(event);
+  let hit = transferPoints.findIndex((p) => {
+    const { x, y } = transferPointXY(p);
+    return Math.hypot(x - e.x, y - e.y) <= TRANSFER_HANDLE;
+  });
+  if (hit < 0) {
+    const color = transferAt(e.u, { color: new THREE.Color(), alpha: 0 }).color;
+    const point = { u: e.u, color: "#" + color.getHexString(), alpha: e.alpha };
+    transferPoints.push(point);
+    transferPoints.sort((a, b) => a.u - b.u);
+    hit = transferPoints.indexOf(point);
+  }
+  transferSelected = hit;
+  transferDrag = transferPoints[hit];
+  if (transferCanvas.setPointerCapture) transferCanvas.setPointerCapture(event.pointerId);
+  onTransferChange();
+});
+
+transferCanvas.addEventListener("pointermove", (event) => {
+  if (!transferDrag) return;
+  const e = transferEventPoint(event);
+  const i = transferPoints.indexOf(transferDrag);
+  // inner points stay between their neighbours, so dragging never reorders
+  if (i > 0 && i < transferPoints.length - 1) {
+    transferDrag.u = THREE.MathUtils.clamp(e.u, transferPoints[i - 1].u + 0.01, transferPoints[i + 1].u - 0.01);
+  }
+  transferDrag.alpha = e.alpha;
+  onTransferChange();
+});
+
+transferCanvas.addEventListener("pointerup", () => { transferDrag = null; });
+
+transferColorInput.addEventListener("input", () => {
+  transferPoints[transferSelected].color = transferColorInput.value;
+  onTransferChange();
+});
+
+transferRemoveButton.addEventListener("click", () => {
+  if (transferSelected === 0 || transferSelected === transferPoints.length - 1) return;
+  transferPoints.splice(transferSelected, 1);
+  transferSelected--;
+  onTransferChange();
+});
+
+function applyTransferPreset(name) {
+  transferPresetSelect.value = name;
+  transferPoints = TRANSFER_PRESETS[name].map((p) => ({ ...p }));
+  transferSelected = 0;
+  onTransferChange();
+}
+
+transferPresetSelect.addEventListener("change", () => applyTransferPreset(transferPresetSelect.value));
+
+function updateVolumeReadout() {
+  if (volumeMode === "off") {
+    volumeReadout.textContent = "";
+    return;
+  }
+  volumeReadout.textContent = volumeSteps + " steps per ray, sources with λ < " +
+    (2 * volumeStepLength()).toFixed(2) + " as envelope" +
+    (volumeMode === "rms" && simMode === "fdtd" ? ", analytic model" : "");
+}
+
+volumeModeSelect.addEventListener("change", () => {
+  volumeMode = volumeModeSelect.value;
+  // a preset that suits the mode: signed colors for the live field, heat for RMS
+  applyTransferPreset(volumeMode === "rms" ? "heat" : "signed");
+  updateVolumeReadout();
+});
+volumeRangeSlider.addEventListener("input", () => {
+  volumeRange = Number(volumeRangeSlider.value);
+  volumeDirty = true;
+  drawTransferEditor();
+});
+volumeDensitySlider.addEventListener("input", () => {
+  volumeDensity = Number(volumeDensitySlider.value);
+  volumeDirty = true;
+});
+volumeStepsSlider.addEventListener("input", () => {
+  volumeSteps = Number(volumeStepsSlider.value);
+  volumeDirty = true;
+  updateVolumeReadout();
+});
+
+// Any other control in the panel may change the field the volume shows
+uiPanel.addEventListener("input", () => { volumeDirty = true; });
+uiPanel.addEventListener("change", () => { volumeDirty = true; });
+onTransferChange();
+
+function updateClockReadout() {
+  clockReadout.textContent = "t = " + simTime.toFixed(2) + " s (step " + simStep + "), seed " + simSeed +
+    (simPaused ? ", paused" : timeScale !== 1 ? ", ×" + timeScale.toFixed(2) : "") +
+    (seekNote ? " (" + seekNote + ")" : "");
+
+  // the timeline grows a minute at a time; hands off while it is dragged
+  if (!timelineDragging) {
+    timelineSlider.max = String(Math.max(60, Math.ceil(simTime / 60) * 60));
+    timelineSlider.value = String(simTime);
+  }
+  playButton.textContent = simPaused ? "Play" : "Pause";
+}
+
+// After jumping around in time: everything that shows the current state
+function onTimeJump() {
+  resetIntensityAverage();
+  updateProbeReadout(simTime);
+  updateClockReadout();
   updateLabels();
+}
+
+function setPaused(paused) {
+  simPaused = paused;
+  simAccumulator = 0; // freeze on a whole step
+  updateClockReadout();
+}
+
+playButton.addEventListener("click", () => setPaused(!simPaused));
+
+stepBackButton.addEventListener("click", () => { setPaused(true); stepFrames(-1); onTimeJump(); });
+stepForwardButton.addEventListener("click", () => { setPaused(true); stepFrames(1); onTimeJump(); });
+stepBackPeriodButton.addEventListener("click", () => { setPaused(true); stepFrames(-periodSteps()); onTimeJump(); });
+stepForwardPeriodButton.addEventListener("click", () => { setPaused(true); stepFrames(periodSteps()); onTimeJump(); });
+
+timeScaleSlider.addEventListener("input", () => {
+  timeScale = Number(timeScaleSlider.value);
+  updateClockReadout();
+});
+
+// Seek once on release rather than replaying on every move of the drag
+timelineSlider.addEventListener("pointerdown", () => { timelineDragging = true; });
+timelineSlider.addEventListener("change", () => {
+  timelineDragging = false;
+  seekTo(Number(timelineSlider.value));
+  onTimeJump();
 });
 
-freq3Slider.addEventListener("input", () => {
-  freq3SliderVal = Number(freq3Slider.value);
-  freq3 = mapSliderToFrequency(freq3SliderVal);
+seedInput.value = simSeed;
+seedInput.addEventListener("change", () => {
+  const v = Math.floor(Number(seedInput.value));
+  if (isFinite(v) && v >= 0) simSeed = v;
+  seedInput.value = simSeed;
+  clearSnapshots();
+  resetSimulation();
+  updateClockReadout();
   updateLabels();
 });
 
-source1XSlider.addEventListener("input", () => { updateSource1FromSliders(); updateLabels(); });
-source1YSlider.addEventListener("input", () => { updateSource1FromSliders(); updateLabels(); });
-source1ZSlider.addEventListener("input", () => { updateSource1FromSliders(); updateLabels(); });
+seekInput.addEventListener("change", () => {
+  const t = Number(seekInput.value);
+  if (!isFinite(t) || t < 0) return;
+  seekTo(t);
+  onTimeJump();
+});
+
+function updatePlacementReadout() {
+  placementReadout.textContent = selectedSource
+    ? "Selected: " + selectedSource.name
+    : "Click a source to select it";
+}
 
-source2XSlider.addEventListener("input", () => { updateSource2FromSliders(); updateLabels(); });
-source2YSlider.addEventListener("input", () => { updateSource2FromSliders(); updateLabels(); });
-source2ZSlider.addEventListener("input", () => { updateSource2FromSliders(); updateLabels(); });
+placeModeSelect.addEventListener("change", () => {
+  placeMode = placeModeSelect.value;
+});
 
-source3XSlider.addEventListener("input", () => { updateSource3FromSliders(); updateLabels(); });
-source3YSlider.addEventListener("input", () => { updateSource3FromSliders(); updateLabels(); });
-source3ZSlider.addEventListener("input", () => { updateSource3FromSliders(); updateLabels(); });
+placeOffsetSlider.addEventListener("input", () => {
+  placeOffset = Number(placeOffsetSlider.value);
+});
 
-source1AutoToggle.addEventListener("change", () => {
-  source1Auto = source1AutoToggle.checked;
+gizmoToggle.addEventListener("change", () => {
+  gizmoEnabled = gizmoToggle.checked;
+  selectSource(selectedSource);
 });
 
-source2AutoToggle.addEventListener("change", () => {
-  source2Auto = source2AutoToggle.checked;
+reflectionToggle.addEventListener("change", () => {
+  reflectionsEnabled = reflectionToggle.checked;
+  updateLabels();
 });
 
-source3AutoToggle.addEventListener("change", () => {
-  source3Auto = source3AutoToggle.checked;
+reflectionCoeffSlider.addEventListener("input", () => {
+  reflectionCoeff = Number(reflectionCoeffSlider.value);
+  updateLabels();
 });
 
 
 // Initial setup (before GLB bounds override)
+allocateSolver();
 updateFieldCenterFromSliders();
 updateFieldSizeFromSliders();
-updateSource1FromSliders();
-updateSource2FromSliders();
-updateSource3FromSliders();
+
+// The original three sources
+addSource({ freqSliderVal: 40, slider: { x: -30, y: 0, z: 0 } });
+addSource({ freqSliderVal: 60, slider: { x: 30, y: 0, z: 0 } });
+addSource({ freqSliderVal: 60, slider: { x: 30, y: 0, z: 0 } });
+updatePowerRangeFromSliders();
+updateProbeFromSliders();
+updatePlacementReadout();
 buildPointCloud();
 updateLabels();
 
@@ -830,82 +5380,90 @@ updateLabels();
 // Animation
 // -------------------------------
 const clock = new THREE.Clock();
-let lastTime = 0;
+let lastProbeReadout = -Infinity;
+let probeFrame = 0;
 
 function animate() {
   requestAnimationFrame(animate);
 
-  const t = clock.getElapsedTime();
-
-  let dt = t - lastTime;
-  lastTime = t;
-  // Clamp dt to avoid huge jumps if tab was inactive
-  dt = Math.min(dt, 0.05);
-
-  // Auto-move sources if toggled
-  if (source1Auto) {
-    updateAutoSource(dt, source1Pos, source1Velocity);
-    source1Mesh.position.copy(source1Pos);
-
-    // keep sliders in sync
-    source1XSlider.value = mapWorldToSlider(source1Pos.x, boundsMin.x, boundsMax.x).toFixed(0);
-    source1YSlider.value = mapWorldToSlider(source1Pos.y, boundsMin.y, boundsMax.y).toFixed(0);
-    source1ZSlider.value = mapWorldToSlider(source1Pos.z, boundsMin.z, boundsMax.z).toFixed(0);
+  // Catch the simulation up with the (scaled) wall clock in fixed steps
+  const frameDt = Math.min(clock.getDelta(), 0.25);
+  if (!simPaused) simAccumulator += frameDt * timeScale;
+  // the cap grows with the time scale, so fast playback keeps its speed
+  const maxSteps = Math.ceil(MAX_STEPS_PER_FRAME * Math.max(timeScale, 1));
+  let steps = 0;
+  while (simAccumulator >= SIM_DT && steps < maxSteps) {
+    stepWorld();
+    simAccumulator -= SIM_DT;
+    steps++;
   }
+  if (steps === maxSteps) simAccumulator = 0;
 
-  if (source2Auto) {
-    updateAutoSource(dt, source2Pos, source2Velocity);
-    source2Mesh.position.copy(source2Pos);
-
-    // keep sliders in sync
-    source2XSlider.value = mapWorldToSlider(source2Pos.x, boundsMin.x, boundsMax.x).toFixed(0);
-    source2YSlider.value = mapWorldToSlider(source2Pos.y, boundsMin.y, boundsMax.y).toFixed(0);
-    source2ZSlider.value = mapWorldToSlider(source2Pos.z, boundsMin.z, boundsMax.z).toFixed(0);
+  const t = simTime;
+  if (Math.abs(t - lastProbeReadout) > 0.25) {
+    lastProbeReadout = t;
+    updateProbeReadout(t);
+    updateClockReadout();
   }
 
-  if (source3Auto) {
-    updateAutoSource(dt, source3Pos, source3Velocity);
-    source3Mesh.position.copy(source3Pos);
-
-    // keep sliders in sync
-    source3XSlider.value = mapWorldToSlider(source3Pos.x, boundsMin.x, boundsMax.x).toFixed(0);
-    source3YSlider.value = mapWorldToSlider(source3Pos.y, boundsMin.y, boundsMax.y).toFixed(0);
-    source3ZSlider.value = mapWorldToSlider(source3Pos.z, boundsMin.z, boundsMax.z).toFixed(0);
+  if (fieldUniforms) {
+    // the leftover fraction of a step keeps slow motion smooth between steps
+    fieldUniforms.uTime.value = t + simAccumulator;
+    fieldUniforms.uSourceCount.value = writeSourceTexture();
+
+    fieldUniforms.uDoppler.value = dopplerEnabled ? 1.0 : 0.0;
+    fieldUniforms.uHistoryHead.value = historyHead;
+    fieldUniforms.uHistoryCount.value = historyCount;
+    fieldUniforms.uHistoryTime.value = historyTime;
+
+    fieldUniforms.uDisplayMode.value = displayMode === "power" ? 1.0 : displayMode === "intensity" ? 2.0 : 0.0;
+    fieldUniforms.uMetersPerUnit.value = metersPerUnit;
+    fieldUniforms.uPowerRange.value.set(powerMinDbm, powerMaxDbm);
+
+    fieldUniforms.uReflections.value = reflectionsEnabled && facadeCount > 0 ? 1.0 : 0.0;
+    fieldUniforms.uReflectionCoeff.value = reflectionCoeff;
+    fieldUniforms.uFacadeCount.value = facadeCount;
+
+    // dB → nepers for the amplitude-domain attenuation in transmission()
+    fieldUniforms.uOccupancy.value = occlusionTexture;
+    fieldUniforms.uOccVoxel.value = occlusionVoxel;
+    fieldUniforms.uOcclusion.value = occlusionEnabled && occlusionTexture ? 1.0 : 0.0;
+    fieldUniforms.uWallLoss.value = wallLossDb * Math.LN10 / 20;
+    fieldUniforms.uHeightMap.value = heightMapTexture;
+    fieldUniforms.uDiffraction.value = diffractionEnabled && heightMapTexture ? 1.0 : 0.0;
   }
 
-  if (material) {
-    const lambdaVis1 = getVisualLambdaFromFrequency(freq1);
-    const lambdaVis2 = getVisualLambdaFromFrequency(freq2);
-    const lambdaVis3 = getVisualLambdaFromFrequency(freq3);
+  // Numerical mode: show the solver's latest state
+  if (fieldUniforms) {
+    fieldUniforms.uSimMode.value = simMode === "fdtd" ? 1.0 : 0.0;
+    fieldUniforms.uSolverState.value = rtCurr.texture;
+    fieldUniforms.uFieldMin.value.copy(fieldCenter).addScaledVector(fieldSize, -0.5);
+  }
 
-    const k1 = (2 * Math.PI) / lambdaVis1;
-    const k2 = (2 * Math.PI) / lambdaVis2;
-    const k3 = (2 * Math.PI) / lambdaVis3;
+  // Slices follow the field volume
+  for (const slice of slices) updateSliceTransform(slice);
 
-    const norm1 = (freq1 - F_MIN) / (F_MAX - F_MIN);
-    const norm2 = (freq2 - F_MIN) / (F_MAX - F_MIN);
-    const norm3 = (freq3 - F_MIN) / (F_MAX - F_MIN);
+  // Isosurfaces: re-contour right after changes, else every few frames
+  if (isoDirty || (isoMode !== "off" && ++isoFrame % ISO_FRAME_INTERVAL === 0)) {
+    updateIsosurfaces();
+    updateIsoReadout();
+  }
 
-    const omega1 = 2 * Math.PI * (0.5 + Math.max(0, Math.min(1, norm1)) * 2.0);
-    const omega2 = 2 * Math.PI * (0.5 + Math.max(0, Math.min(1, norm2)) * 2.0);
-    const omega3 = 2 * Math.PI * (0.5 + Math.max(0, Math.min(1, norm3)) * 2.0);
+  // Accumulated mean intensity: one sample per frame the simulation moved on
+  const accumulating = displayMode === "intensity" && intensityAverage === "accumulated";
+  if (fieldUniforms) fieldUniforms.uIntensityAccumulated.value = accumulating ? 1.0 : 0.0;
+  if (accumulating && (steps > 0 || intensitySamples === 0)) accumulateIntensity();
 
-    material.uniforms.uTime.value = t;
-    material.uniforms.uSource1Pos.value.copy(source1Pos);
-    material.uniforms.uSource2Pos.value.copy(source2Pos);
-    material.uniforms.uSource3Pos.value.copy(source3Pos);
-    material.uniforms.uK1.value = k1;
-    material.uniforms.uOmega1.value = omega1;
-    material.uniforms.uK2.value = k2;
-    material.uniforms.uOmega2.value = omega2;
-    material.uniforms.uK3.value = k3;
-    material.uniforms.uOmega3.value = omega3;
+  // Probe plots, read back every few frames (the readback stalls the GPU)
+  if (probes.length && ++probeFrame % PROBE_FRAME_INTERVAL === 0) {
+    sampleProbes();
+    updateProbePanels();
   }
 
-  // ---- Slow camera rotation around world Y ----
+  // ---- Slow camera rotation around world Y, per simulation step ----
   // Save current radius and height
   const radius = Math.sqrt(camera.position.x * camera.position.x + camera.position.z * camera.position.z);
-  const angle = Math.atan2(camera.position.z, camera.position.x) + autoRotateSpeed;
+  const angle = Math.atan2(camera.position.z, camera.position.x) + autoRotateSpeed * steps;
 
   camera.position.x = radius * Math.cos(angle);
   camera.position.z = radius * Math.sin(angle);
@@ -915,6 +5473,9 @@ function animate() {
 
 
   controls.update();
+
+  // Ray-marched volume, redrawn when the field or the view changed
+  renderVolume();
   renderer.render(scene, camera);
 }
 